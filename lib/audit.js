@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {generateLocalId} from './helpers.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'vc-status-audit';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    // each event is only recorded once
+    collection: COLLECTION_NAME,
+    fields: {'event.id': 1},
+    options: {unique: true}
+  }, {
+    // for finding the status change history of a credential
+    collection: COLLECTION_NAME,
+    fields: {
+      'event.configId': 1, 'event.credentialId': 1,
+      'meta.created': 1, 'event.id': 1
+    },
+    options: {unique: false}
+  }, {
+    // for finding the status change history of a status list
+    collection: COLLECTION_NAME,
+    fields: {
+      'event.configId': 1, 'event.statusListId': 1,
+      'meta.created': 1, 'event.id': 1
+    },
+    options: {unique: false}
+  }]);
+});
+
+/**
+ * Appends status change events to the audit history. Events are never
+ * modified or removed once added. Events that are given an `id` are only
+ * recorded once, so recording them can be safely retried.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<object>} options.events - The status change events, each
+ *   with `configId`, `credentialId`, `statusPurpose`, `statusListId`,
+ *   `statusListCredential`, `statusListIndex`, `previousStatus`, `status`,
+ *   `sequence` (of the updated status list credential), and, optionally,
+ *   `invoker` (the zcap controller or OAuth2 client that made the change),
+ *   `id`, and `date` (defaults to now).
+ *
+ * @returns {Promise<object>} Settles once the operation completes.
+ */
+export async function record({events} = {}) {
+  assert.arrayOfObject(events, 'events');
+  if(events.length === 0) {
+    return;
+  }
+
+  const collection = database.collections[COLLECTION_NAME];
+  const date = new Date().toISOString();
+  const records = await Promise.all(events.map(async event => {
+    event = {id: await generateLocalId(), date, ...event};
+    return {event, meta: {created: Date.parse(event.date)}};
+  }));
+  try {
+    await collection.insertMany(records, {ordered: false});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // ignore duplicate error, events were already recorded
+  }
+}
+
+/**
+ * Gets a page of status change events for a credential or a status list,
+ * oldest first.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.configId - The ID of the status instance config.
+ * @param {string} [options.credentialId] - The ID of the credential; either
+ *   this or `statusListId` must be given.
+ * @param {string} [options.statusPurpose] - An optional status purpose to
+ *   filter a credential's events by.
+ * @param {string} [options.statusListId] - The ID of the status list.
+ * @param {number} [options.limit=100] - The maximum number of events to
+ *   return.
+ * @param {string} [options.after] - The ID of an event, as returned in
+ *   `next` from a previous call; only events after it are returned.
+ *
+ * @returns {Promise<object>} Resolves to `{events, next}` where `next` is
+ *   the value of `after` to use to get the next page, if any.
+ */
+export async function find({
+  configId, credentialId, statusPurpose, statusListId, limit = 100, after
+} = {}) {
+  assert.string(configId, 'configId');
+  assert.optionalString(credentialId, 'credentialId');
+  assert.optionalString(statusPurpose, 'statusPurpose');
+  assert.optionalString(statusListId, 'statusListId');
+  assert.number(limit, 'limit');
+  assert.optionalString(after, 'after');
+
+  const query = {'event.configId': configId};
+  if(credentialId !== undefined) {
+    query['event.credentialId'] = credentialId;
+    if(statusPurpose !== undefined) {
+      query['event.statusPurpose'] = statusPurpose;
+    }
+  } else {
+    assert.string(statusListId, 'statusListId');
+    query['event.statusListId'] = statusListId;
+  }
+  const collection = database.collections[COLLECTION_NAME];
+  if(after !== undefined) {
+    // resume after the given event, ordering by creation time then ID
+    const {meta: {created}} = await _getEvent({query, id: after});
+    query.$or = [
+      {'meta.created': {$gt: created}},
+      {'meta.created': created, 'event.id': {$gt: after}}
+    ];
+  }
+
+  // fetch one more than `limit` to determine if there is a next page
+  const records = await collection.find(query, {
+    projection: {_id: 0, event: 1},
+    sort: {'meta.created': 1, 'event.id': 1},
+    limit: limit + 1
+  }).toArray();
+
+  const hasNext = records.length > limit;
+  if(hasNext) {
+    records.pop();
+  }
+  const events = records.map(({event}) => {
+    // do not expose internal config ID
+    delete event.configId;
+    return event;
+  });
+  const next = hasNext ? events.at(-1).id : undefined;
+  return {events, next};
+}
+
+async function _getEvent({query, id}) {
+  const collection = database.collections[COLLECTION_NAME];
+  const record = await collection.findOne(
+    {...query, 'event.id': id}, {projection: {_id: 0, meta: 1}});
+  if(!record) {
+    throw new BedrockError(
+      `Status change event "${id}" not found.`, {
+        name: 'NotFoundError',
+        details: {
+          httpStatusCode: 404,
+          public: true
+        }
+      });
+  }
+  return record;
+}
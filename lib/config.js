@@ -15,12 +15,102 @@ cfg.caches = {
     max: 1000,
     // status updates should take place within ~5 minutes
     ttl: 5 * 60 * 1000
+  },
+  // precomputed (serialized and compressed) responses for each SLC; bounded
+  // by the total size, in bytes, of the response bodies
+  response: {
+    maxSize: 32 * 1024 * 1024,
+    ttl: 5 * 60 * 1000
+  },
+  // decoded status lists, for verifying statuses; most lists are 16KiB once
+  // decoded, so 100 is ~1.6MiB
+  list: {
+    max: 100,
+    ttl: 5 * 60 * 1000
+  }
+};
+
+// storage units used by each status instance, as reported to its meter
+cfg.storageCost = {
+  config: 1,
+  revocation: 1,
+  // per status list; this much storage must also be available on the meter
+  // to create a new status list
+  statusList: 1,
+  // per KiB of encoded status lists
+  encodedListKibibyte: 1,
+  // per credential status mapping
+  mapping: 1
+};
+
+cfg.backgroundRefresh = {
+  // when enabled, status list credentials are refreshed in the background
+  // before they expire so that readers rarely need to wait for a refresh
+  enabled: true,
+  // how long to wait before looking for status lists to refresh again when
+  // none are found
+  interval: 60 * 1000,
+  // fraction of a status list credential's validity period (less skew time)
+  // that must pass before it is refreshed
+  threshold: 0.8,
+  // maximum time to allow for a status list to be isolated for refresh
+  isolateTimeout: 5 * 60 * 1000
+};
+
+cfg.webhooks = {
+  // when enabled, queued webhook events are delivered in the background
+  enabled: true,
+  // how long to wait before looking for events to deliver again when none
+  // are found
+  interval: 5 * 1000,
+  // maximum time to wait for a webhook to respond
+  timeout: 10 * 1000,
+  // maximum time to allow for a delivery to be isolated for sending
+  isolateTimeout: 60 * 1000,
+  // maximum number of delivery attempts before an event is dropped
+  maxAttempts: 10,
+  // whether webhooks may be on loopback, private, or other non-public
+  // network addresses; only enable if status instance controllers are trusted
+  allowPrivateNetworks: false,
+  // exponential backoff between failed delivery attempts
+  backoff: {
+    initialDelay: 30 * 1000,
+    maxDelay: 60 * 60 * 1000
+  }
+};
+
+cfg.scheduledChanges = {
+  // when enabled, pending status changes are applied in the background once
+  // they come due
+  enabled: true,
+  // how long to wait before looking for pending changes to apply again when
+  // none are found
+  interval: 10 * 1000,
+  // maximum time to allow for a pending change to be isolated for applying
+  isolateTimeout: 60 * 1000
+};
+
+cfg.publisher = {
+  // when enabled, each newly stored status list credential is also published
+  // to `target`, e.g., to be served statically by a CDN
+  enabled: false,
+  target: {
+    // `filesystem` or a type added via `publisher.registerTarget()`
+    type: 'filesystem',
+    // for `filesystem`, the directory to publish to; each status list
+    // credential is written to the path of its status list ID
+    directory: null
   }
 };
 
 cfg.routes = {
   credentialsStatus: '/credentials/status',
-  statusLists: '/status-lists'
+  credentialsStatusAllocate: '/credentials/status/allocate',
+  credentialsStatusBatch: '/credentials/status/batch',
+  credentialsStatusHistory: '/credentials/status/history',
+  credentialsStatusVerify: '/credentials/status/verify',
+  statusLists: '/status-lists',
+  webhookSecrets: '/webhooks/secrets'
 };
 
 // status list routes, supports:
@@ -5,7 +5,14 @@
 export const LIST_TYPE_TO_ENTRY_TYPE = new Map([
   ['BitstringStatusList', 'BitstringStatusListEntry'],
   // FIXME: remove support for deprecated status list types
-  ['StatusList2021', 'StatusList2021Entry']
+  ['StatusList2021', 'StatusList2021Entry'],
+  // legacy, only to continue managing lists migrated from older services
+  ['RevocationList2020', 'RevocationList2020Status'],
+  // IETF Token Status List, served as a signed Status List Token; the IETF
+  // draft references a token via a `status` claim, not a status entry, so
+  // `TokenStatusListEntry` is specific to this service: it is only used to
+  // express and update, via the status APIs, the statuses on these lists
+  ['TokenStatusList', 'TokenStatusListEntry']
 ]);
 
 // max list size is 2^26, which is the largest size a totally random,
@@ -18,4 +25,10 @@ export const MAX_LIST_SIZE = 67108864;
 
 export const SKEW_TIME_MS = 5 * 60 * 1000; // 5 minutes
 
+// default validity period for status list credentials
+export const DEFAULT_VALIDITY_PERIOD_MS = 24 * 60 * 60 * 1000; // 1 day
+// validity periods must leave room for skew time before a refresh is needed
+export const MIN_VALIDITY_PERIOD_MS = 2 * SKEW_TIME_MS; // 10 minutes
+export const MAX_VALIDITY_PERIOD_MS = 366 * 24 * 60 * 60 * 1000; // 366 days
+
 export const serviceType = 'vc-status';
@@ -0,0 +1,102 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as indexes from './indexes.js';
+import * as slcs from './slcs.js';
+import assert from 'assert-plus';
+import {logger} from './logger.js';
+import {randomInt} from 'node:crypto';
+
+/**
+ * Pads a change to a status list with random decoy changes, per the status
+ * instance's `statusListOptions.decoyChanges`, so that a verifier comparing
+ * consecutive status list credentials cannot link a real change to a
+ * specific credential. Each decoy index is reserved, as a decoy, so that it
+ * is never allocated to a credential, and its status is set permanently:
+ * decoys are never cleared, as clearing them would distinguish them from real
+ * changes. Decoys are only set on status lists whose indexes are allocated by
+ * the status service; on other status lists, an issuer may have chosen any
+ * index for a credential whose status has not been set yet.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ * @param {string} options.statusListId - The ID of the status list.
+ * @param {object} options.list - The decoded status list to modify.
+ * @param {string} [options.allocation='client'] - Who allocates the indexes
+ *   of the status list, `client` or `server`.
+ * @param {number} [options.capacity] - The number of indexes on the status
+ *   list available for allocation, if tracked.
+ *
+ * @returns {Promise<Array<number>>} Resolves to the indexes of the decoys
+ *   set on the list; these must be released via `releaseDecoys()` if the
+ *   modified list is not stored.
+ */
+export async function applyDecoys({
+  config, statusListId, list, allocation = 'client', capacity
+} = {}) {
+  assert.object(config, 'config');
+  assert.string(statusListId, 'statusListId');
+  assert.object(list, 'list');
+  assert.string(allocation, 'allocation');
+  assert.optionalNumber(capacity, 'capacity');
+
+  const {decoyChanges = 0} = config.statusListOptions ?? {};
+  if(decoyChanges === 0 || allocation !== 'server' || capacity === undefined) {
+    return [];
+  }
+
+  // reserve random unused indexes; once the list is full, no more decoys are
+  // set
+  const decoys = [];
+  while(decoys.length < decoyChanges) {
+    const index = await indexes.reserveRandom({
+      statusListId, capacity, decoy: true
+    });
+    if(index === null) {
+      break;
+    }
+    decoys.push(index);
+  }
+  if(decoys.length > 0) {
+    await slcs.addAllocated({statusListId, count: decoys.length});
+  }
+
+  // set a random non-zero status value for each decoy
+  const max = 2 ** (list.statusSize ?? 1) - 1;
+  for(const index of decoys) {
+    list.setStatus(index, list.statusSize === undefined ?
+      true : randomInt(1, max + 1));
+  }
+  return decoys;
+}
+
+/**
+ * Releases the reservations of decoys that were set via `applyDecoys()` on a
+ * status list that was then not stored, so that their indexes can be
+ * allocated again. Any error is logged.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.statusListId - The ID of the status list.
+ * @param {Array<number>} options.decoys - The indexes of the decoys.
+ *
+ * @returns {Promise<undefined>} Settles once the operation completes.
+ */
+export async function releaseDecoys({statusListId, decoys} = {}) {
+  assert.string(statusListId, 'statusListId');
+  assert.arrayOfNumber(decoys, 'decoys');
+
+  try {
+    let count = 0;
+    for(const index of decoys) {
+      if(await indexes.release({statusListId, index})) {
+        ++count;
+      }
+    }
+    if(count > 0) {
+      await slcs.addAllocated({statusListId, count: -count});
+    }
+  } catch(error) {
+    logger.error(
+      `Could not release decoys on status list "${statusListId}".`, {error});
+  }
+}
@@ -1,13 +1,52 @@
 /*!
- * Copyright (c) 2020-2024 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as base64url from 'base64url-universal';
 import * as bedrock from '@bedrock/core';
+import {createHash} from 'node:crypto';
+import {decode as decodeCbor} from 'cborg';
 
 const {util: {BedrockError}} = bedrock;
 
+const CREDENTIALS_CONTEXT_V2_URL = 'https://www.w3.org/ns/credentials/v2';
 const TEXT_DECODER = new TextDecoder();
 
+// COSE_Sign1 CBOR tag
+const COSE_SIGN1_TAG = 18;
+
+// supported media types => their parsers and the data URL encodings they
+// may use (`undefined` for none)
+const PARSERS = new Map([
+  // VC-JWT, credential in `vc` claim
+  ['application/jwt', {
+    encodings: [undefined, 'base64'],
+    parse: ({data}) => _decodeJwtPayload({jwt: data}).vc
+  }],
+  // VC-JOSE-COSE, credential is the payload
+  ['application/vc+jwt', {
+    encodings: [undefined, 'base64'],
+    parse: ({data}) => _decodeJwtPayload({jwt: data})
+  }],
+  ['application/vc+sd-jwt', {
+    encodings: [undefined, 'base64'],
+    parse: _parseSdJwt
+  }],
+  ['application/vc+cose', {
+    encodings: ['base64'],
+    parse: _parseCose
+  }]
+]);
+
+export function createEnvelopedCredential({envelope} = {}) {
+  const {data, mediaType, encoding} = envelope;
+  const dataURL = `data:${mediaType}${encoding ? ';base64,' : ','}${data}`;
+  return {
+    '@context': CREDENTIALS_CONTEXT_V2_URL,
+    id: dataURL,
+    type: 'EnvelopedVerifiableCredential'
+  };
+}
+
 export async function parseEnvelope({
   envelopedVerifiableCredential
 } = {}) {
@@ -17,45 +56,50 @@ export async function parseEnvelope({
   const commaIndex = dataURL.indexOf(',');
   let mediaType = dataURL.slice('data:'.length, commaIndex);
   const semicolonIndex = mediaType.indexOf(';');
-  const encoding = semicolonIndex !== -1 ?
-    mediaType.slice(semicolonIndex) : undefined;
-  if(encoding !== undefined) {
-    mediaType = mediaType.slice(0, -encoding.length);
+  let encoding;
+  if(semicolonIndex !== -1) {
+    encoding = mediaType.slice(semicolonIndex + 1);
+    mediaType = mediaType.slice(0, semicolonIndex);
   }
 
   // parse data
   const data = dataURL.slice(commaIndex + 1);
 
-  try {
-    // VC-JWT
-    if(mediaType === 'application/jwt' && encoding === undefined) {
-      // parse JWT
-      const split = data.split('.');
-      const payload = JSON.parse(
-        TEXT_DECODER.decode(base64url.decode(split[1])));
+  const parser = PARSERS.get(mediaType);
+  if(parser?.encodings.includes(encoding)) {
+    try {
+      // text-based envelopes may also be base64-encoded
+      const bytes = encoding === 'base64' ?
+        Buffer.from(data, 'base64') : undefined;
+      const text = bytes ? bytes.toString('utf8') : data;
+      const verifiableCredential = await parser.parse({data: text, bytes});
       const envelope = {data, mediaType};
-      return {envelope, verifiableCredential: payload.vc};
-    }
-  } catch(e) {
-    throw new BedrockError(
-      `Error when parsing enveloped verifiable credential of "${mediaType}".`, {
-        name: 'DataError',
-        details: {
-          httpStatusCode: 500,
-          public: true
-        },
-        cause: new BedrockError(e.message, {
+      if(encoding !== undefined) {
+        envelope.encoding = encoding;
+      }
+      return {envelope, verifiableCredential};
+    } catch(e) {
+      throw new BedrockError(
+        'Error when parsing enveloped verifiable credential of ' +
+        `"${mediaType}".`, {
           name: 'DataError',
           details: {
             httpStatusCode: 500,
             public: true
-          }
-        })
-      });
+          },
+          cause: new BedrockError(e.message, {
+            name: 'DataError',
+            details: {
+              httpStatusCode: 500,
+              public: true
+            }
+          })
+        });
+    }
   }
 
   // unrecognized media type and encoding combination
-  const andEncoding = encoding ? `and encoding ${encoding} ` : '';
+  const andEncoding = encoding ? `and encoding ";${encoding}" ` : '';
   throw new BedrockError(
     `Enveloped credential media type "${mediaType}" ` +
     `${andEncoding}is not supported.`, {
@@ -66,3 +110,87 @@ export async function parseEnvelope({
       }
     });
 }
+
+function _decodeJwtPayload({jwt}) {
+  const split = jwt.split('.');
+  if(split.length !== 3) {
+    throw new Error('Invalid JWT.');
+  }
+  return JSON.parse(TEXT_DECODER.decode(base64url.decode(split[1])));
+}
+
+function _parseCose({bytes}) {
+  // COSE_Sign1: [protected, unprotected, payload, signature], may be tagged
+  const tags = [];
+  tags[COSE_SIGN1_TAG] = value => value;
+  const sign1 = decodeCbor(bytes, {tags});
+  if(!(Array.isArray(sign1) && sign1.length === 4 &&
+    sign1[2] instanceof Uint8Array)) {
+    throw new Error('Invalid COSE_Sign1 structure.');
+  }
+  return JSON.parse(TEXT_DECODER.decode(sign1[2]));
+}
+
+function _parseSdJwt({data}) {
+  // `<issuer-signed JWT>~<disclosure>~...~[<key binding JWT>]`
+  const [jwt, ...rest] = data.split('~');
+  const payload = _decodeJwtPayload({jwt});
+  const {_sd_alg: alg = 'sha-256'} = payload;
+  if(alg !== 'sha-256') {
+    throw new Error(`Unsupported SD-JWT digest algorithm "${alg}".`);
+  }
+
+  // map each disclosure's digest to its decoded value; a trailing key binding
+  // JWT, if any, is not a disclosure
+  const disclosures = new Map();
+  for(const disclosure of rest) {
+    if(disclosure === '' || disclosure.includes('.')) {
+      continue;
+    }
+    const digest = base64url.encode(
+      createHash('sha256').update(disclosure, 'ascii').digest());
+    disclosures.set(digest, JSON.parse(
+      TEXT_DECODER.decode(base64url.decode(disclosure))));
+  }
+
+  const credential = _applyDisclosures({value: payload, disclosures});
+  delete credential._sd_alg;
+  return credential;
+}
+
+function _applyDisclosures({value, disclosures}) {
+  if(Array.isArray(value)) {
+    // array elements may be replaced by `{'...': <digest>}`
+    const result = [];
+    for(const element of value) {
+      const digest = element?.['...'];
+      if(typeof digest === 'string' && Object.keys(element).length === 1) {
+        const disclosure = disclosures.get(digest);
+        if(disclosure) {
+          result.push(_applyDisclosures({value: disclosure[1], disclosures}));
+        }
+        continue;
+      }
+      result.push(_applyDisclosures({value: element, disclosures}));
+    }
+    return result;
+  }
+  if(value === null || typeof value !== 'object') {
+    return value;
+  }
+  const result = {};
+  for(const [key, child] of Object.entries(value)) {
+    if(key !== '_sd') {
+      result[key] = _applyDisclosures({value: child, disclosures});
+    }
+  }
+  // object properties may be disclosed via digests in `_sd`
+  for(const digest of value._sd ?? []) {
+    const disclosure = disclosures.get(digest);
+    if(disclosure) {
+      const [, name, claim] = disclosure;
+      result[name] = _applyDisclosures({value: claim, disclosures});
+    }
+  }
+  return result;
+}
@@ -1,13 +1,36 @@
 /*!
  * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
  */
+import * as base64url from 'base64url-universal';
+import {createEnvelopedCredential} from './envelopes.js';
 import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
 import etag from 'etag';
 import {generateId} from 'bnid';
 import {httpsAgent} from '@bedrock/https-agent';
+import {promisify} from 'node:util';
 import {serviceAgents} from '@bedrock/service-agent';
 import {SKEW_TIME_MS} from './constants.js';
 import {ZcapClient} from '@digitalbazaar/ezcap';
+import zlib from 'node:zlib';
+
+const TEXT_DECODER = new TextDecoder();
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+// content encodings that responses are precompressed with, in order of
+// preference
+const CONTENT_ENCODINGS = ['br', 'gzip', 'identity'];
+const COMPRESSORS = {
+  // a moderate quality; the highest is far slower on large status lists for
+  // little gain (encoded lists are already compressed)
+  br: body => brotliCompress(body, {
+    params: {
+      [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: body.length
+    }
+  }),
+  gzip: body => gzip(body)
+};
 
 export async function generateLocalId() {
   // 128-bit random number, base58 multibase + multihash encoded
@@ -19,6 +42,21 @@ export async function generateLocalId() {
   });
 }
 
+// gets the party that made an authorized request: the zcap controller or,
+// for OAuth2, the client identified in the (already verified) access token
+export function getInvoker({req} = {}) {
+  if(req.zcap) {
+    return {type: 'zcap', controller: req.zcap.controller};
+  }
+  const authorization = req.get('authorization');
+  if(authorization?.startsWith('Bearer ')) {
+    const [, payload] = authorization.slice('Bearer '.length).split('.');
+    const {iss, sub, client_id: clientId} = JSON.parse(
+      TEXT_DECODER.decode(base64url.decode(payload)));
+    return {type: 'oauth2', issuer: iss, clientId: clientId ?? sub};
+  }
+}
+
 export async function getZcapClient({config} = {}) {
   // get service agent for communicating with the issuer instance
   const {serviceAgent} = await serviceAgents.get(
@@ -36,8 +74,34 @@ export async function getZcapClient({config} = {}) {
   return {zcapClient, zcaps};
 }
 
-export function sendCacheableJson({
-  res, obj, validUntil
+// serializes a status list credential as the given media type; if secured
+// using an envelope, as the enveloped VC (`application/json`) or the
+// envelope's raw data (the envelope's media type), never as the unsecured VC;
+// otherwise as the VC itself (`application/json` or `application/vc`)
+export function serializeStatusList({credential, envelope, mediaType} = {}) {
+  if(!envelope) {
+    return Buffer.from(JSON.stringify(credential), 'utf8');
+  }
+  if(mediaType === 'application/json') {
+    const obj = createEnvelopedCredential({envelope});
+    return Buffer.from(JSON.stringify(obj), 'utf8');
+  }
+  return Buffer.from(envelope.data, envelope.encoding ?? 'utf8');
+}
+
+// computes each content-encoded variant of a response body and its e-tag
+export async function createCacheableResponse({body} = {}) {
+  const response = {identity: {body, etag: etag(body)}};
+  await Promise.all(Object.entries(COMPRESSORS).map(
+    async ([encoding, compress]) => {
+      const compressed = await compress(body);
+      response[encoding] = {body: compressed, etag: etag(compressed)};
+    }));
+  return response;
+}
+
+export function sendCacheable({
+  req, res, response, contentType, validUntil, lastModified
 } = {}) {
   let maxAge = 0;
   if(validUntil) {
@@ -48,15 +112,30 @@ export function sendCacheableJson({
       maxAge = Math.floor((validUntilTime - now) / 1000);
     }
   }
-  // compute e-tag to enable caching
-  const body = Buffer.from(JSON.stringify(obj), 'utf8');
-  res.header('content-type', 'application/json');
+  // select the variant w/the most preferred encoding the client accepts
+  const encoding = req.acceptsEncodings(CONTENT_ENCODINGS) || 'identity';
+  const variant = response[encoding];
+  res.vary('Accept-Encoding');
+  if(encoding !== 'identity') {
+    res.header('content-encoding', encoding);
+  }
+  res.header('content-type', contentType);
   // "public": can be cached by CloudFront and other CDNs
   // "max-age": how long browsers should cache (in seconds)
   // "s-maxage": how long shared caches should cache (in seconds)
   res.header('cache-control', `public, max-age=${maxAge}, s-maxage=${maxAge}`);
-  res.header('etag', etag(body));
+  // e-tag differs per encoding to enable caching
+  res.header('etag', variant.etag);
+  if(lastModified) {
+    res.header('last-modified', lastModified.toUTCString());
+  }
   res.removeHeader('expires');
   res.removeHeader('pragma');
-  res.send(body);
+  // only send "304 Not Modified" if the client's copy is current per its
+  // `If-None-Match` or `If-Modified-Since` headers
+  if(req.fresh) {
+    res.status(304).end();
+    return;
+  }
+  res.send(variant.body);
 }
@@ -1,23 +1,33 @@
 /*!
  * Copyright (c) 2018-2025 Digital Bazaar, Inc. All rights reserved.
  */
+import * as audit from './audit.js';
 import * as bedrock from '@bedrock/core';
 import * as helpers from './helpers.js';
 import * as slcs from './slcs.js';
+import * as webhooks from './webhooks.js';
 import {
-  compile, createValidateMiddleware as validate
-} from '@bedrock/validation';
-import {
+  allocateCredentialStatusBody,
   createStatusListBody,
-  updateCredentialStatusBody
+  getCredentialStatusHistoryQuery,
+  getCredentialStatusQuery,
+  getStatusListsQuery,
+  setWebhookSecretBody,
+  updateCredentialStatusBatchBody,
+  updateCredentialStatusBody,
+  verifyCredentialStatusBody
 } from '../schemas/bedrock-vc-status.js';
+import {
+  allocateStatus, getStatus, setStatus, setStatuses, verifyStatus
+} from './status.js';
+import {
+  compile, createValidateMiddleware as validate
+} from '@bedrock/validation';
 import {metering, middleware} from '@bedrock/service-core';
 import {asyncHandler} from '@bedrock/express';
 import cors from 'cors';
+import {isTokenStatusList} from './tokens.js';
 import {logger} from './logger.js';
-import {setStatus} from './status.js';
-
-const CREDENTIALS_CONTEXT_V2_URL = 'https://www.w3.org/ns/credentials/v2';
 
 const {util: {BedrockError}} = bedrock;
 
@@ -28,10 +38,17 @@ export async function addRoutes({app, service} = {}) {
   const baseUrl = `${routePrefix}/:localId`;
   const routes = {
     credentialsStatus: `${baseUrl}${cfg.routes.credentialsStatus}`,
+    credentialsStatusAllocate:
+      `${baseUrl}${cfg.routes.credentialsStatusAllocate}`,
+    credentialsStatusBatch: `${baseUrl}${cfg.routes.credentialsStatusBatch}`,
+    credentialsStatusHistory:
+      `${baseUrl}${cfg.routes.credentialsStatusHistory}`,
+    credentialsStatusVerify: `${baseUrl}${cfg.routes.credentialsStatusVerify}`,
     // status list routes
     statusLists: `${baseUrl}${cfg.routes.statusLists}`,
     statusList: `${baseUrl}${cfg.routes.statusList}`,
-    namespacedStatusList: `${baseUrl}${cfg.routes.namespacedStatusList}`
+    namespacedStatusList: `${baseUrl}${cfg.routes.namespacedStatusList}`,
+    webhookSecrets: `${baseUrl}${cfg.routes.webhookSecrets}`
   };
 
   const getConfigMiddleware = middleware.createGetConfigMiddleware({service});
@@ -43,6 +60,23 @@ export async function addRoutes({app, service} = {}) {
   uses HTTP signatures + capabilities or OAuth2, not cookies; CSRF is not
   possible. */
 
+  // get summaries of the status lists for the instance
+  app.options(routes.statusLists, cors());
+  app.get(
+    routes.statusLists,
+    cors(),
+    validate({querySchema: getStatusListsQuery}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config} = req.serviceObject;
+      const {after} = req.query;
+      const limit = req.query.limit === undefined ?
+        undefined : parseInt(req.query.limit, 10);
+      const result = await slcs.find({config, limit, after});
+      res.json(result);
+    }));
+
   // create a status list / force refresh of an existing one
   app.options(routes.statusList, cors());
   app.post(
@@ -59,33 +93,7 @@ export async function addRoutes({app, service} = {}) {
     routes.statusList,
     cors(),
     getConfigMiddleware,
-    asyncHandler(async (req, res) => {
-      const {config} = req.serviceObject;
-      const statusListId = _getStatusListId({req});
-      const {credential, envelope, validUntil} = await slcs.getFresh({
-        config, statusListId
-      });
-      if(!envelope) {
-        helpers.sendCacheableJson({
-          res, obj: credential,
-          validUntil
-        });
-      } else {
-        // send enveloped VC
-        const {data, mediaType, encoding} = envelope;
-        const dataURL =
-          `data:${mediaType}${encoding ? ';base64,' : ','}${data}`;
-        const envelopedVerifiableCredential = {
-          '@context': CREDENTIALS_CONTEXT_V2_URL,
-          id: dataURL,
-          type: 'EnvelopedVerifiableCredential'
-        };
-        helpers.sendCacheableJson({
-          res, obj: envelopedVerifiableCredential,
-          validUntil
-        });
-      }
-    }));
+    asyncHandler(async (req, res) => _sendStatusList({req, res})));
 
   // create a namespaced status list / force refresh of an existing one
   app.options(routes.namespacedStatusList, cors());
@@ -103,21 +111,24 @@ export async function addRoutes({app, service} = {}) {
     routes.namespacedStatusList,
     cors(),
     getConfigMiddleware,
+    asyncHandler(async (req, res) => _sendStatusList({req, res})));
+
+  // get current credential status
+  app.options(routes.credentialsStatus, cors());
+  app.get(
+    routes.credentialsStatus,
+    cors(),
+    validate({querySchema: getCredentialStatusQuery}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
     asyncHandler(async (req, res) => {
       const {config} = req.serviceObject;
-      const statusListId = _getStatusListId({req});
-      const {
-        credential, validUntil
-      } = await slcs.getFresh({config, statusListId});
-
-      helpers.sendCacheableJson({
-        res, obj: credential,
-        validUntil
-      });
+      const {credentialId, statusPurpose} = req.query;
+      const result = await getStatus({config, credentialId, statusPurpose});
+      res.json(result);
     }));
 
   // update credential status
-  app.options(routes.credentialsStatus, cors());
   app.post(
     routes.credentialsStatus,
     cors(),
@@ -128,10 +139,13 @@ export async function addRoutes({app, service} = {}) {
       try {
         const {config} = req.serviceObject;
         const {
-          credentialId, indexAllocator, credentialStatus, status = true
+          credentialId, indexAllocator, credentialStatus, status = true,
+          effectiveAt, until
         } = req.body;
+        const invoker = helpers.getInvoker({req});
         await setStatus({
-          config, credentialId, indexAllocator, credentialStatus, status
+          config, credentialId, indexAllocator, credentialStatus, status,
+          effectiveAt, until, invoker
         });
         res.status(200).end();
       } catch(error) {
@@ -142,17 +156,125 @@ export async function addRoutes({app, service} = {}) {
       // meter operation usage
       metering.reportOperationUsage({req});
     }));
+
+  // allocate a status list index for a credential
+  app.options(routes.credentialsStatusAllocate, cors());
+  app.post(
+    routes.credentialsStatusAllocate,
+    cors(),
+    validate({bodySchema: allocateCredentialStatusBody}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config} = req.serviceObject;
+      const {credentialId, statusPurpose} = req.body;
+      const result = await allocateStatus({
+        config, credentialId, statusPurpose
+      });
+      res.json(result);
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+
+  // update many credential statuses at once
+  app.options(routes.credentialsStatusBatch, cors());
+  app.post(
+    routes.credentialsStatusBatch,
+    cors(),
+    validate({bodySchema: updateCredentialStatusBatchBody}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config} = req.serviceObject;
+      const {entries} = req.body;
+      const invoker = helpers.getInvoker({req});
+      const results = await setStatuses({config, entries, invoker});
+      res.json({results});
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+
+  // get credential status change history
+  app.options(routes.credentialsStatusHistory, cors());
+  app.get(
+    routes.credentialsStatusHistory,
+    cors(),
+    validate({querySchema: getCredentialStatusHistoryQuery}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config} = req.serviceObject;
+      const {credentialId, statusPurpose, statusListId, after} = req.query;
+      const limit = req.query.limit === undefined ?
+        undefined : parseInt(req.query.limit, 10);
+      const result = await audit.find({
+        configId: config.id, credentialId, statusPurpose, statusListId,
+        limit, after
+      });
+      res.json(result);
+    }));
+
+  // verify the status of a credential against local status lists
+  app.options(routes.credentialsStatusVerify, cors());
+  app.post(
+    routes.credentialsStatusVerify,
+    cors(),
+    validate({bodySchema: verifyCredentialStatusBody}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config} = req.serviceObject;
+      // status entries may be given directly or via a credential
+      let {credentialStatus} = req.body.verifiableCredential ?? req.body;
+      if(!Array.isArray(credentialStatus)) {
+        credentialStatus = [credentialStatus];
+      }
+      const results = await verifyStatus({config, credentialStatus});
+      res.json({results});
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+
+  // set the secret of a webhook; it can never be read back
+  app.options(routes.webhookSecrets, cors());
+  app.post(
+    routes.webhookSecrets,
+    cors(),
+    validate({bodySchema: setWebhookSecretBody}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config} = req.serviceObject;
+      const {url, secret} = req.body;
+      if(!config.webhooks?.some(w => w.url === url)) {
+        throw new BedrockError(
+          `Webhook "${url}" is not configured for this status instance.`, {
+            name: 'NotFoundError',
+            details: {
+              httpStatusCode: 404,
+              public: true
+            }
+          });
+      }
+      await webhooks.setSecret({configId: config.id, url, secret});
+      res.sendStatus(204);
+    }));
 }
 
 async function _createOrRefreshStatusList({
   req, res, createStatusListBodySchema
 }) {
-  // perform validation on body based on `refresh` query param
+  // perform validation on body based on `refresh` or `migrate` query param
   const refresh = (req.query.refresh === 'true');
-  if(refresh) {
+  const migrate = (req.query.migrate === 'true');
+  if(refresh || migrate) {
     if(!(req.body && Object.keys(req.body).length === 0)) {
+      const operation = refresh ? 'refresh' : 'migrate';
       throw new BedrockError(
-        'POST body must be empty to refresh an existing status list.', {
+        `POST body must be empty to ${operation} an existing status list.`, {
           name: 'DataError',
           details: {
             httpStatusCode: 400,
@@ -167,7 +289,6 @@ async function _createOrRefreshStatusList({
     }
   }
 
-  // TODO: check available storage via meter before allowing operation
   try {
     const {config} = req.serviceObject;
     const statusListId = _getStatusListId({req});
@@ -176,13 +297,19 @@ async function _createOrRefreshStatusList({
       // force refresh
       await slcs.refresh({config, statusListId});
       res.sendStatus(204);
+    } else if(migrate) {
+      // migrate `StatusList2021` status list to `BitstringStatusList`
+      await slcs.migrate({config, statusListId});
+      res.sendStatus(204);
     } else {
       const {
-        credentialId, indexAllocator, type, length, statusPurpose
+        credentialId, indexAllocator, type, length, statusPurpose,
+        statusSize, statusMessage, format, allocation, encodedList
       } = req.body;
       await slcs.create({
         config, statusListId, credentialId, indexAllocator,
-        type, statusPurpose, length
+        type, statusPurpose, length, statusSize, statusMessage, format,
+        allocation, encodedList
       });
       res.status(204).location(statusListId).send();
     }
@@ -195,6 +322,50 @@ async function _createOrRefreshStatusList({
   metering.reportOperationUsage({req});
 }
 
+async function _sendStatusList({req, res}) {
+  const {config} = req.serviceObject;
+  const statusListId = _getStatusListId({req});
+  const {
+    credential, envelope, validUntil, lastModified, sequence
+  } = await slcs.getFresh({config, statusListId});
+
+  // negotiate representation of the SLC; an SLC secured using an envelope is
+  // never served w/o it: as the enveloped VC (`application/json`, the
+  // default) or as the envelope's raw data (the envelope's media type); an
+  // SLC secured w/o an envelope is served as the VC itself (`application/json`
+  // or `application/vc`); a Token Status List is only ever served as its
+  // Status List Token
+  const mediaTypes = [];
+  if(!isTokenStatusList({credential})) {
+    mediaTypes.push('application/json');
+  }
+  mediaTypes.push(envelope ? envelope.mediaType : 'application/vc');
+  const mediaType = req.accepts(mediaTypes);
+  res.vary('Accept');
+  if(!mediaType) {
+    throw new BedrockError(
+      'None of the media types in the "Accept" header are supported.', {
+        name: 'NotAcceptableError',
+        details: {
+          httpStatusCode: 406,
+          public: true,
+          supportedMediaTypes: mediaTypes
+        }
+      });
+  }
+
+  // serialize and compress the representation only once per SLC sequence
+  const response = await slcs.getCachedResponse({
+    statusListId, sequence, mediaType,
+    fn: () => helpers.createCacheableResponse({
+      body: helpers.serializeStatusList({credential, envelope, mediaType})
+    })
+  });
+  helpers.sendCacheable({
+    req, res, response, contentType: mediaType, validUntil, lastModified
+  });
+}
+
 function _getStatusListId({req}) {
   const cfg = bedrock.config['vc-status'];
   const {config} = req.serviceObject;
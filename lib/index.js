@@ -2,36 +2,94 @@
  * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as mappings from './mappings.js';
+import * as slcs from './slcs.js';
+import {assertAllowedUrl, scheduleDelivery} from './webhooks.js';
+import {createService, schemas} from '@bedrock/service-core';
 import {initializeServiceAgent, refreshZcaps} from '@bedrock/service-agent';
+import {
+  issueOptions, statusListOptions, webhooks
+} from '../schemas/bedrock-vc-status.js';
 import {addRoutes} from './http.js';
-import {createService} from '@bedrock/service-core';
+import {logger} from './logger.js';
+import {scheduleChanges} from './scheduler.js';
+import {scheduleRefresh} from './refresher.js';
 import {serviceType} from './constants.js';
 
 // load config defaults
 import './config.js';
 
+const {util: {BedrockError}} = bedrock;
+
+// export public publishing API
+export {registerTarget} from './publisher.js';
+
+// name of the CLI command that publishes all status lists and then exits
+const PUBLISH_COMMAND = 'vc-status-publish';
+
+bedrock.events.on('bedrock-cli.init', () => {
+  const command = bedrock.program
+    .command(PUBLISH_COMMAND)
+    .description(
+      'Publish all status lists to the configured publishing target.')
+    .action(() => {
+      bedrock.config.cli.command = command;
+    });
+});
+
+bedrock.events.on('bedrock.ready', async () => {
+  if(!_isPublishCommand()) {
+    return;
+  }
+  const count = await slcs.publishAll();
+  logger.info(`Published ${count} status list(s).`);
+  await bedrock.shutdown();
+});
+
 bedrock.events.on('bedrock.init', async () => {
+  // add customizations to config validators...
+  const createConfigBody = structuredClone(schemas.createConfigBody);
+  const updateConfigBody = structuredClone(schemas.updateConfigBody);
+  const schemasToUpdate = [createConfigBody, updateConfigBody];
+  for(const schema of schemasToUpdate) {
+    // add ability to configure status list credential options
+    schema.properties.statusListOptions = statusListOptions;
+    // add ability to configure webhooks to notify of status changes
+    schema.properties.webhooks = webhooks;
+    // add ability to sign status list credentials in-process
+    schema.properties.issueOptions = issueOptions;
+    // zcaps are always required, see `_validateConfig()`
+    schema.required = [...schema.required, 'zcaps'];
+  }
+
   // create `vc-status` service
   const service = await createService({
     serviceType,
     routePrefix: '/statuses',
-    storageCost: {
-      config: 1,
-      revocation: 1
-    },
+    storageCost: bedrock.config['vc-status'].storageCost,
     validation: {
-      // require these zcaps (by reference ID)
+      createConfigBody,
+      updateConfigBody,
+      // require these zcaps (by reference ID); either `issue` (to use a
+      // remote issuer) or `assertionMethod` (to sign in-process) is required
+      // as checked in `validateConfigFn`
       zcapReferenceIds: [{
         referenceId: 'issue',
-        required: true
+        required: false
+      }, {
+        referenceId: 'assertionMethod',
+        required: false
       }, {
         referenceId: 'refresh',
         required: false
       }],
-      async usageAggregator({meter, signal} = {}) {
-        return usageAggregator({meter, signal, service});
+      async validateConfigFn({config} = {}) {
+        return _validateConfig({config});
       }
     },
+    async usageAggregator({meter, signal} = {}) {
+      return usageAggregator({meter, signal, service});
+    },
     async refreshHandler({record, signal}) {
       // refresh zcaps and update record w/results
       const result = await refreshZcaps({
@@ -45,6 +103,19 @@ bedrock.events.on('bedrock.init', async () => {
     }
   });
 
+  // the publish command only publishes status lists and then exits, so it
+  // runs no background jobs
+  if(!_isPublishCommand()) {
+    // refresh status list credentials in the background before they expire
+    scheduleRefresh({service});
+
+    // deliver webhook notifications of status changes in the background
+    scheduleDelivery({service});
+
+    // apply scheduled status changes in the background once they come due
+    scheduleChanges({service});
+  }
+
   bedrock.events.on('bedrock-express.configure.routes', async app => {
     await addRoutes({app, service});
   });
@@ -60,8 +131,53 @@ bedrock.events.on('bedrock.init', async () => {
   });
 });
 
+function _isPublishCommand() {
+  return bedrock.config.cli.command?.name() === PUBLISH_COMMAND;
+}
+
+function _validateConfig({config}) {
+  // in-process signing requires an `assertionMethod` zcap, otherwise an
+  // `issue` zcap is required to use a remote issuer
+  const referenceId = config.issueOptions ? 'assertionMethod' : 'issue';
+  if(!config.zcaps?.[referenceId]) {
+    return {
+      valid: false,
+      error: new BedrockError(
+        `A "${referenceId}" zcap is required.`, {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        })
+    };
+  }
+  // webhooks must be on public networks unless configured otherwise
+  for(const {url} of config.webhooks ?? []) {
+    try {
+      assertAllowedUrl({url});
+    } catch(error) {
+      return {valid: false, error};
+    }
+  }
+  return {valid: true};
+}
+
 async function usageAggregator({meter, signal, service} = {}) {
   const {id: meterId} = meter;
-  // TODO: add SLCs storage
-  return service.configStorage.getUsage({meterId, signal});
+  return service.configStorage.getUsage({
+    meterId, signal, addUsage: _addStatusUsage
+  });
+}
+
+async function _addStatusUsage({config, storageCost, usage}) {
+  // add storage units for status lists and credential status mappings
+  const [{count, bytes}, mappingCount] = await Promise.all([
+    slcs.getUsage({config}),
+    mappings.count({configId: config.id})
+  ]);
+  usage.storage +=
+    count * storageCost.statusList +
+    Math.ceil(bytes / 1024) * storageCost.encodedListKibibyte +
+    mappingCount * storageCost.mapping;
 }
@@ -0,0 +1,156 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {randomInt} from 'node:crypto';
+
+const COLLECTION_NAME = 'vc-status-index';
+
+// number of random indexes to try before scanning for a free one
+const MAX_RANDOM_ATTEMPTS = 8;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    // each index on a status list may only be reserved once
+    collection: COLLECTION_NAME,
+    fields: {statusListId: 1, index: 1},
+    options: {unique: true}
+  }]);
+});
+
+/**
+ * Reserves a specific index on a status list.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.statusListId - The ID of the status list.
+ * @param {number} options.index - The index to reserve.
+ * @param {boolean} [options.decoy=false] - `true` if the index is reserved
+ *   for a decoy change rather than for a credential.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if the index was reserved
+ *   and `false` if it had already been reserved.
+ */
+export async function reserve({statusListId, index, decoy = false} = {}) {
+  assert.string(statusListId, 'statusListId');
+  assert.number(index, 'index');
+  assert.bool(decoy, 'decoy');
+
+  try {
+    const collection = database.collections[COLLECTION_NAME];
+    await collection.insertOne({
+      statusListId, index, ...(decoy ? {decoy} : {}),
+      meta: {created: Date.now()}
+    });
+    return true;
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    return false;
+  }
+}
+
+/**
+ * Reserves a randomly chosen, unused index on a status list. Random indexes
+ * are tried first; if these are all in use, the status list is scanned for
+ * an unused index starting from a random position.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.statusListId - The ID of the status list.
+ * @param {number} options.capacity - The number of indexes on the list.
+ * @param {Set<number>} [options.exclude] - Indexes that must not be
+ *   reserved even if unused.
+ * @param {boolean} [options.decoy=false] - `true` if the index is reserved
+ *   for a decoy change rather than for a credential.
+ *
+ * @returns {Promise<number|null>} Resolves to the reserved index or `null`
+ *   if every index on the list is in use.
+ */
+export async function reserveRandom({
+  statusListId, capacity, exclude = new Set(), decoy = false
+} = {}) {
+  assert.string(statusListId, 'statusListId');
+  assert.number(capacity, 'capacity');
+
+  for(let i = 0; i < MAX_RANDOM_ATTEMPTS; ++i) {
+    const index = randomInt(capacity);
+    if(!exclude.has(index) && await reserve({statusListId, index, decoy})) {
+      return index;
+    }
+  }
+
+  // list is likely dense; scan for gaps from a random start, wrapping around
+  const start = randomInt(capacity);
+  for(const [begin, to] of [[start, capacity], [0, start]]) {
+    let from = begin;
+    let index;
+    while((index = await _findGap({statusListId, from, to})) !== null) {
+      if(!exclude.has(index) &&
+        await reserve({statusListId, index, decoy})) {
+        return index;
+      }
+      // index excluded or reserved concurrently, continue scanning after it
+      from = index + 1;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds which of the given indexes on a status list are reserved.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.statusListId - The ID of the status list.
+ * @param {Array<number>} options.indexes - The indexes to check.
+ *
+ * @returns {Promise<Set<number>>} Resolves to the reserved indexes.
+ */
+export async function findReserved({statusListId, indexes} = {}) {
+  assert.string(statusListId, 'statusListId');
+  assert.arrayOfNumber(indexes, 'indexes');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const records = await collection.find(
+    {statusListId, index: {$in: indexes}},
+    {projection: {_id: 0, index: 1}}).toArray();
+  return new Set(records.map(({index}) => index));
+}
+
+/**
+ * Releases a reserved index on a status list.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.statusListId - The ID of the status list.
+ * @param {number} options.index - The index to release.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if the index was released.
+ */
+export async function release({statusListId, index} = {}) {
+  assert.string(statusListId, 'statusListId');
+  assert.number(index, 'index');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.deleteOne({statusListId, index});
+  return result.deletedCount > 0;
+}
+
+async function _findGap({statusListId, from, to}) {
+  // walk reserved indexes in order until one is skipped
+  const collection = database.collections[COLLECTION_NAME];
+  const cursor = collection.find(
+    {statusListId, index: {$gte: from, $lt: to}},
+    {projection: {_id: 0, index: 1}, sort: {index: 1}});
+  let expected = from;
+  for await (const {index} of cursor) {
+    if(index !== expected) {
+      break;
+    }
+    ++expected;
+  }
+  await cursor.close();
+  return expected < to ? expected : null;
+}
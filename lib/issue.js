@@ -1,8 +1,11 @@
 /*!
- * Copyright (c) 2022-2024 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2025 Digital Bazaar, Inc. All rights reserved.
  */
+import {issueToken, isTokenStatusList} from './tokens.js';
+import {DEFAULT_VALIDITY_PERIOD_MS} from './constants.js';
 import {getZcapClient} from './helpers.js';
 import {parseEnvelope} from './envelopes.js';
+import {signCredential} from './signing.js';
 
 const CREDENTIALS_CONTEXT_V1_URL = 'https://www.w3.org/2018/credentials/v1';
 const CREDENTIALS_CONTEXT_V2_URL = 'https://www.w3.org/ns/credentials/v2';
@@ -12,7 +15,10 @@ export async function issue({config, credential, updateValidity = true} = {}) {
     // express date without milliseconds
     const date = new Date();
     const validFrom = `${date.toISOString().slice(0, -5)}Z`;
-    date.setDate(date.getDate() + 1);
+    const {
+      validityPeriod = DEFAULT_VALIDITY_PERIOD_MS
+    } = config.statusListOptions ?? {};
+    date.setTime(date.getTime() + validityPeriod);
     const validUntil = `${date.toISOString().slice(0, -5)}Z`;
 
     if(credential['@context'].includes(CREDENTIALS_CONTEXT_V1_URL)) {
@@ -27,6 +33,17 @@ export async function issue({config, credential, updateValidity = true} = {}) {
     delete credential.proof;
   }
 
+  // Token Status Lists are only issued as signed Status List Tokens
+  if(isTokenStatusList({credential})) {
+    return issueToken({config, credential});
+  }
+
+  // sign in-process if configured to do so, otherwise use remote issuer
+  if(config.issueOptions) {
+    const verifiableCredential = await signCredential({config, credential});
+    return {verifiableCredential};
+  }
+
   // create zcap client for issuing VCs
   const {zcapClient, zcaps} = await getZcapClient({config});
 
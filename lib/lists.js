@@ -0,0 +1,260 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import * as bedrock from '@bedrock/core';
+import {
+  createList as createBitstringList,
+  decodeList as decodeBitstringList
+} from '@digitalbazaar/vc-bitstring-status-list';
+import {
+  createList as createList2021,
+  decodeList as decodeList2021
+} from '@digitalbazaar/vc-status-list';
+import {promisify} from 'node:util';
+import zlib from 'node:zlib';
+
+const {util: {BedrockError}} = bedrock;
+
+const CREDENTIALS_CONTEXT_V1_URL = 'https://www.w3.org/2018/credentials/v1';
+const REVOCATION_LIST_CONTEXT_V1_URL =
+  'https://w3id.org/vc-revocation-list-2020/v1';
+
+const deflate = promisify(zlib.deflate);
+const inflate = promisify(zlib.inflate);
+
+// wraps a single-bit list to read and write `statusSize`-bit entries as
+// unsigned integers, most significant bit first
+class MultiBitStatusList {
+  constructor({list, statusSize} = {}) {
+    this.list = list;
+    this.statusSize = statusSize;
+    this.length = Math.floor(list.length / statusSize);
+  }
+
+  getStatus(index) {
+    const offset = this._getOffset(index);
+    let status = 0;
+    for(let i = 0; i < this.statusSize; ++i) {
+      status = status * 2 + (this.list.getStatus(offset + i) ? 1 : 0);
+    }
+    return status;
+  }
+
+  setStatus(index, status) {
+    const max = 2 ** this.statusSize - 1;
+    if(!(Number.isInteger(status) && status >= 0 && status <= max)) {
+      throw new BedrockError(
+        `"status" (${status}) must be an integer from 0 to ${max}.`, {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+    const offset = this._getOffset(index);
+    for(let i = this.statusSize - 1; i >= 0; --i) {
+      this.list.setStatus(offset + i, status % 2 === 1);
+      status = Math.floor(status / 2);
+    }
+  }
+
+  async encode() {
+    return this.list.encode();
+  }
+
+  _getOffset(index) {
+    if(!(Number.isInteger(index) && index >= 0 && index < this.length)) {
+      throw new BedrockError(
+        `Status list index (${index}) is out of range ` +
+        `"0-${this.length - 1}".`, {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+    return index * this.statusSize;
+  }
+}
+
+// an IETF Token Status List: `bits`-bit entries packed least significant bit
+// first and encoded as base64url of its ZLIB-compressed bytes; like other
+// lists, it has boolean entries when `bits` is 1 and integers otherwise
+class TokenStatusList {
+  constructor({bytes, bits} = {}) {
+    this.bytes = bytes;
+    this.bits = bits;
+    this.statusSize = bits === 1 ? undefined : bits;
+    this.length = bytes.length * 8 / bits;
+  }
+
+  getStatus(index) {
+    const {byte, shift} = this._getPosition(index);
+    const status = (this.bytes[byte] >> shift) & (2 ** this.bits - 1);
+    return this.bits === 1 ? status === 1 : status;
+  }
+
+  setStatus(index, status) {
+    if(this.bits === 1) {
+      status = status ? 1 : 0;
+    }
+    const max = 2 ** this.bits - 1;
+    if(!(Number.isInteger(status) && status >= 0 && status <= max)) {
+      throw new BedrockError(
+        `"status" (${status}) must be an integer from 0 to ${max}.`, {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+    const {byte, shift} = this._getPosition(index);
+    this.bytes[byte] = (this.bytes[byte] & ~(max << shift)) | (status << shift);
+  }
+
+  async encode() {
+    return base64url.encode(await deflate(this.bytes, {level: 9}));
+  }
+
+  static async decode({encodedList, bits} = {}) {
+    const bytes = new Uint8Array(await inflate(base64url.decode(encodedList)));
+    return new TokenStatusList({bytes, bits});
+  }
+
+  _getPosition(index) {
+    if(!(Number.isInteger(index) && index >= 0 && index < this.length)) {
+      throw new BedrockError(
+        `Status list index (${index}) is out of range ` +
+        `"0-${this.length - 1}".`, {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+    const offset = index * this.bits;
+    return {byte: Math.floor(offset / 8), shift: offset % 8};
+  }
+}
+
+/**
+ * Creates a new, empty status list of the given type.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.type - The type of status list.
+ * @param {number} options.length - The length of the status list in bits.
+ * @param {number} [options.statusSize=1] - The size of each status entry in
+ *   bits.
+ *
+ * @returns {Promise<object>} Resolves to the status list.
+ */
+export async function createList({type, length, statusSize = 1} = {}) {
+  if(type === 'TokenStatusList') {
+    const bytes = new Uint8Array(Math.ceil(length / 8));
+    return new TokenStatusList({bytes, bits: statusSize});
+  }
+  let list;
+  if(type === 'BitstringStatusList') {
+    list = await createBitstringList({length});
+  } else {
+    // `type` must be `StatusList2021` or `RevocationList2020`, which use the
+    // same encoding
+    list = await createList2021({length});
+  }
+  return statusSize === 1 ? list : new MultiBitStatusList({list, statusSize});
+}
+
+/**
+ * Creates a legacy `RevocationList2020Credential` for the given list. Unlike
+ * other status list credentials, it has no `statusPurpose`; its purpose is
+ * always `revocation`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the status list credential.
+ * @param {object} options.list - The status list.
+ *
+ * @returns {Promise<object>} Resolves to the status list credential.
+ */
+export async function createRevocationListCredential({id, list} = {}) {
+  return {
+    '@context': [CREDENTIALS_CONTEXT_V1_URL, REVOCATION_LIST_CONTEXT_V1_URL],
+    id,
+    type: ['VerifiableCredential', 'RevocationList2020Credential'],
+    credentialSubject: {
+      id: `${id}#list`,
+      type: 'RevocationList2020',
+      encodedList: await list.encode()
+    }
+  };
+}
+
+/**
+ * Gets the status purpose of the given status list credential.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.credential - The status list credential.
+ *
+ * @returns {string} The status purpose.
+ */
+export function getStatusPurpose({credential} = {}) {
+  const {credentialSubject: {type, statusPurpose}} = credential;
+  return type === 'RevocationList2020' ? 'revocation' : statusPurpose;
+}
+
+/**
+ * Gets the length, in bits, of the status list of the given status list
+ * credential. The encoded list is decompressed as a stream to count its
+ * bytes, without decoding the full list into memory.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.credential - The status list credential.
+ *
+ * @returns {Promise<number>} Resolves to the length of the status list.
+ */
+export async function getListLength({credential} = {}) {
+  const {credentialSubject: {type}} = credential;
+  let {credentialSubject: {encodedList}} = credential;
+  if(credential.type.includes('BitstringStatusListCredential')) {
+    // remove multibase (base64url) prefix
+    encodedList = encodedList.slice(1);
+  }
+  // Token Status Lists are ZLIB-compressed, all others are GZIP-compressed
+  const stream = type === 'TokenStatusList' ?
+    zlib.createInflate() : zlib.createGunzip();
+  stream.end(base64url.decode(encodedList));
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+  }
+  return size * 8;
+}
+
+/**
+ * Decodes the status list from the given status list credential.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.credential - The status list credential.
+ *
+ * @returns {Promise<object>} Resolves to the status list; its `getStatus()`
+ *   returns booleans for single-bit lists and integers for multi-bit lists.
+ */
+export async function decodeList({credential} = {}) {
+  const {credentialSubject: {type, encodedList, statusSize = 1}} = credential;
+  if(type === 'TokenStatusList') {
+    return TokenStatusList.decode({encodedList, bits: statusSize});
+  }
+  let list;
+  if(credential.type.includes('BitstringStatusListCredential')) {
+    list = await decodeBitstringList({encodedList});
+  } else {
+    // type must be `StatusList2021Credential` or
+    // `RevocationList2020Credential`, which use the same encoding
+    list = await decodeList2021({encodedList});
+  }
+  return statusSize === 1 ? list : new MultiBitStatusList({list, statusSize});
+}
@@ -23,6 +23,15 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
       'mapping.statusPurpose': 1
     },
     options: {unique: true}
+  }, {
+    // for finding which indexes on a status list are mapped to credentials
+    collection: COLLECTION_NAME,
+    fields: {
+      'mapping.configId': 1,
+      'mapping.statusListCredential': 1,
+      'mapping.statusListIndex': 1
+    },
+    options: {unique: false}
   }]);
 });
 
@@ -129,3 +138,82 @@ export async function get({configId, credentialId, statusPurpose} = {}) {
   }
   return record;
 }
+
+/**
+ * Removes the SLC mapping for the given credential ID if it still maps to
+ * the given status list credential and index, e.g., because the status update
+ * that created it could not be applied.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.configId - The ID of the status instance config.
+ * @param {string} options.credentialId - The ID of the credential.
+ * @param {string} options.statusPurpose - The status purpose.
+ * @param {string} options.statusListCredential - The status list credential ID.
+ * @param {string} options.statusListIndex - The status list index.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if a mapping was removed.
+ */
+export async function remove({
+  configId,
+  credentialId, statusPurpose, statusListCredential, statusListIndex
+} = {}) {
+  assert.string(configId, 'configId');
+  assert.string(credentialId, 'credentialId');
+  assert.string(statusPurpose, 'statusPurpose');
+  assert.string(statusListCredential, 'statusListCredential');
+  assert.string(statusListIndex, 'statusListIndex');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.deleteOne({
+    'mapping.configId': configId,
+    'mapping.credentialId': credentialId,
+    'mapping.statusPurpose': statusPurpose,
+    'mapping.statusListCredential': statusListCredential,
+    'mapping.statusListIndex': statusListIndex
+  });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Finds which of the given indexes on a status list are mapped to
+ * credentials.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.configId - The ID of the status instance config.
+ * @param {string} options.statusListCredential - The status list credential
+ *   ID.
+ * @param {Array<string>} options.statusListIndexes - The status list indexes
+ *   to check.
+ *
+ * @returns {Promise<Set<string>>} Resolves to the mapped status list indexes.
+ */
+export async function findMappedIndexes({
+  configId, statusListCredential, statusListIndexes
+} = {}) {
+  assert.string(configId, 'configId');
+  assert.string(statusListCredential, 'statusListCredential');
+  assert.arrayOfString(statusListIndexes, 'statusListIndexes');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const records = await collection.find({
+    'mapping.configId': configId,
+    'mapping.statusListCredential': statusListCredential,
+    'mapping.statusListIndex': {$in: statusListIndexes}
+  }, {projection: {_id: 0, 'mapping.statusListIndex': 1}}).toArray();
+  return new Set(records.map(({mapping}) => mapping.statusListIndex));
+}
+
+/**
+ * Counts the credential status mappings for the given status instance.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.configId - The ID of the status instance config.
+ *
+ * @returns {Promise<number>} Resolves to the number of mappings.
+ */
+export async function count({configId} = {}) {
+  assert.string(configId, 'configId');
+
+  const collection = database.collections[COLLECTION_NAME];
+  return collection.countDocuments({'mapping.configId': configId});
+}
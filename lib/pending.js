@@ -0,0 +1,134 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {generateLocalId} from './helpers.js';
+
+const COLLECTION_NAME = 'vc-status-pendingChange';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'pendingChange.id': 1},
+    options: {unique: true}
+  }, {
+    // for finding pending changes that are due
+    collection: COLLECTION_NAME,
+    fields: {'meta.after': 1},
+    options: {unique: false}
+  }]);
+});
+
+/**
+ * Adds a pending status change that will be applied once it comes due.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.id] - The ID of the pending change; if a pending
+ *   change with this ID was already added, it is not added again; defaults
+ *   to a new ID.
+ * @param {string} options.configId - The ID of the status instance config.
+ * @param {string} options.credentialId - The ID of the credential.
+ * @param {object} options.credentialStatus - The credential status entry,
+ *   including its `statusListCredential` and `statusListIndex`.
+ * @param {boolean|number} options.status - The status value to set.
+ * @param {string} options.effectiveAt - The date-time at which to apply the
+ *   change.
+ * @param {string} [options.until] - An optional date-time at which to revert
+ *   the change once it has been applied.
+ * @param {boolean|number} [options.expectedStatus] - An optional status
+ *   value that the credential must still have for the change to be applied,
+ *   e.g., the value set by a change that is being reverted.
+ * @param {object} [options.invoker] - The party that requested the change,
+ *   for the audit history.
+ *
+ * @returns {Promise<object>} Resolves to the pending change.
+ */
+export async function add({
+  id, configId, credentialId, credentialStatus, status, effectiveAt, until,
+  expectedStatus, invoker
+} = {}) {
+  assert.optionalString(id, 'id');
+  assert.string(configId, 'configId');
+  assert.string(credentialId, 'credentialId');
+  assert.object(credentialStatus, 'credentialStatus');
+  assert.string(effectiveAt, 'effectiveAt');
+  assert.optionalString(until, 'until');
+  assert.optionalObject(invoker, 'invoker');
+
+  const now = Date.now();
+  const pendingChange = {
+    id: id ?? await generateLocalId(),
+    configId, credentialId, credentialStatus, status, effectiveAt,
+    ...(until !== undefined ? {until} : {}),
+    ...(expectedStatus !== undefined ? {expectedStatus} : {}),
+    ...(invoker ? {invoker} : {})
+  };
+  const record = {
+    pendingChange,
+    meta: {created: now, updated: now, after: Date.parse(effectiveAt)}
+  };
+  try {
+    const collection = database.collections[COLLECTION_NAME];
+    await collection.insertOne(record);
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // ignore duplicate error, pending change was already added
+  }
+  return pendingChange;
+}
+
+/**
+ * Claims a pending change that is due to be applied. A claim expires after
+ * `config['vc-status'].scheduledChanges.isolateTimeout` so that a change that
+ * fails to apply will be retried.
+ *
+ * @returns {Promise<object>} Resolves to `{found, record}` where `found` is
+ *   whether a due pending change was found and `record` is set only if it was
+ *   also successfully claimed.
+ */
+export async function claimDue() {
+  // find a pending change that is due and claim it by extending its `after`
+  // time, only succeeding if no other process has done so concurrently
+  const collection = database.collections[COLLECTION_NAME];
+  const now = Date.now();
+  const record = await collection.findOne(
+    {'meta.after': {$lte: now}}, {projection: {pendingChange: 1, meta: 1}});
+  if(!record) {
+    return {found: false};
+  }
+  const {scheduledChanges: {isolateTimeout}} = bedrock.config['vc-status'];
+  const after = now + isolateTimeout;
+  const result = await collection.updateOne({
+    _id: record._id,
+    'meta.after': record.meta.after
+  }, {
+    $set: {'meta.after': after, 'meta.updated': now}
+  });
+  if(result.modifiedCount === 0) {
+    return {found: true};
+  }
+  record.meta.after = after;
+  return {found: true, record};
+}
+
+/**
+ * Removes a pending change, e.g., once it has been applied.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the pending change.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if a pending change was
+ *   removed.
+ */
+export async function remove({id} = {}) {
+  assert.string(id, 'id');
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.deleteOne({'pendingChange.id': id});
+  return result.deletedCount > 0;
+}
@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {mkdir, readFile, rename, rm, writeFile} from 'node:fs/promises';
+import assert from 'assert-plus';
+import {isTokenStatusList} from './tokens.js';
+import path from 'node:path';
+import {randomUUID} from 'node:crypto';
+import {serializeStatusList} from './helpers.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// media type of published status list credentials, the same as the default
+// representation served from the status list routes (other than for Token
+// Status Lists)
+const MEDIA_TYPE = 'application/json';
+
+// publishing target type => function that creates a target from its config
+const TARGET_TYPES = new Map([
+  ['filesystem', _createFilesystemTarget]
+]);
+
+let _target;
+
+bedrock.events.on('bedrock.init', () => {
+  const {publisher} = bedrock.config['vc-status'];
+  if(!publisher.enabled) {
+    return;
+  }
+  const {type} = publisher.target;
+  const createTarget = TARGET_TYPES.get(type);
+  if(!createTarget) {
+    throw new BedrockError(
+      `Status list publishing target type "${type}" is not supported.`, {
+        name: 'NotSupportedError',
+        details: {type}
+      });
+  }
+  _target = createTarget(publisher.target);
+});
+
+/**
+ * Registers a type of publishing target, e.g., for an object store, that can
+ * then be selected via `config['vc-status'].publisher.target.type`. This must
+ * be called before the `bedrock.init` event.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.type - The type of target.
+ * @param {Function} options.createTarget - A function that is given the
+ *   target config and returns a target: an object with an async
+ *   `write({path, body, contentType, sequence})` function that stores `body`
+ *   such that it is served from `path`, unless a status list credential with
+ *   a greater `sequence` has already been stored there.
+ */
+export function registerTarget({type, createTarget} = {}) {
+  assert.string(type, 'type');
+  assert.func(createTarget, 'createTarget');
+  TARGET_TYPES.set(type, createTarget);
+}
+
+/**
+ * Publishes a status list credential to the configured publishing target, if
+ * publishing is enabled. The status list credential is published at the path
+ * of its status list ID so that it can be served statically from the same
+ * URL. Status list credentials that are published out of order, e.g., by
+ * concurrent updates, never replace a newer one.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.statusListId - The ID of the status list.
+ * @param {object} options.credential - The status list credential.
+ * @param {object} [options.envelope] - The security envelope that wraps the
+ *   credential, if any.
+ * @param {number} options.sequence - The sequence of the status list
+ *   credential.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if the status list
+ *   credential was published and `false` if publishing is disabled.
+ */
+export async function publish({
+  statusListId, credential, envelope, sequence
+} = {}) {
+  assert.string(statusListId, 'statusListId');
+  assert.object(credential, 'credential');
+  assert.optionalObject(envelope, 'envelope');
+  assert.number(sequence, 'sequence');
+
+  if(!_target) {
+    return false;
+  }
+  // a Token Status List is only ever served as its Status List Token
+  const mediaType = isTokenStatusList({credential}) ?
+    envelope.mediaType : MEDIA_TYPE;
+  const body = serializeStatusList({credential, envelope, mediaType});
+  await _target.write({
+    path: new URL(statusListId).pathname, body, contentType: mediaType,
+    sequence
+  });
+  return true;
+}
+
+function _createFilesystemTarget({directory} = {}) {
+  assert.string(directory, 'config["vc-status"].publisher.target.directory');
+  const root = path.resolve(directory);
+  // file => promise for the last write to it, to order writes to each file
+  const writes = new Map();
+  return {
+    async write({path: urlPath, body, sequence}) {
+      const file = path.join(root, ...urlPath.split('/'));
+      if(!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid status list path "${urlPath}".`);
+      }
+      const previous = writes.get(file) ?? Promise.resolve();
+      const promise = previous.catch(() => {}).then(
+        () => _writeFile({file, body, sequence}));
+      writes.set(file, promise);
+      try {
+        await promise;
+      } finally {
+        if(writes.get(file) === promise) {
+          writes.delete(file);
+        }
+      }
+    }
+  };
+}
+
+async function _writeFile({file, body, sequence}) {
+  // the sequence of the stored status list credential is kept in a hidden
+  // file next to it; never replace a newer status list credential
+  const sequenceFile = path.join(
+    path.dirname(file), `.${path.basename(file)}.sequence`);
+  let stored;
+  try {
+    stored = parseInt(await readFile(sequenceFile, 'utf8'), 10);
+  } catch(e) {
+    if(e.code !== 'ENOENT') {
+      throw e;
+    }
+  }
+  if(stored > sequence) {
+    return;
+  }
+
+  // write to temporary files first so a partially written status list is
+  // never served
+  await mkdir(path.dirname(file), {recursive: true});
+  await _replaceFile({file, data: body});
+  await _replaceFile({file: sequenceFile, data: `${sequence}`});
+}
+
+async function _replaceFile({file, data}) {
+  const tmp = `${file}.${randomUUID()}.tmp`;
+  try {
+    await writeFile(tmp, data);
+    await rename(tmp, file);
+  } catch(e) {
+    await rm(tmp, {force: true});
+    throw e;
+  }
+}
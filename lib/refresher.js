@@ -0,0 +1,110 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as slcs from './slcs.js';
+import {logger} from './logger.js';
+import {setTimeout as sleep} from 'node:timers/promises';
+
+/**
+ * Schedules a job that continuously refreshes status list credentials in the
+ * background before they expire. The job may safely run on multiple
+ * processes at once; each status list is claimed before it is refreshed and
+ * concurrent updates are prevented by each status list's sequence number.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.service - The `vc-status` service.
+ */
+export function scheduleRefresh({service} = {}) {
+  const {backgroundRefresh: {enabled}} = bedrock.config['vc-status'];
+  if(!enabled) {
+    return;
+  }
+
+  const abortController = new AbortController();
+  const {signal} = abortController;
+  let shutdownPromise;
+
+  bedrock.events.on('bedrock.ready', () => {
+    // start the refresher which runs continuously
+    shutdownPromise = _start({service, signal});
+  });
+
+  bedrock.events.on('bedrock.exit', async () => {
+    try {
+      // abort refresh job
+      abortController.abort();
+      logger.debug(
+        'Sent abort signal to status list refresher; awaiting shutdown...');
+      await shutdownPromise;
+      logger.debug('Shutdown of status list refresher was successful.');
+    } catch(error) {
+      logger.error('Error during status list refresher shutdown.', {error});
+    }
+  });
+}
+
+async function _start({service, signal}) {
+  const {backgroundRefresh: {interval}} = bedrock.config['vc-status'];
+  while(!signal.aborted) {
+    try {
+      // refresh an eligible status list
+      if(await _refreshOne({service})) {
+        continue;
+      }
+      // no eligible status list found (or an error occurred), so wait
+      await sleep(interval, undefined, {signal});
+    } catch(error) {
+      if(error.name === 'AbortError') {
+        break;
+      }
+      logger.error('Error during status list refresh.', {error});
+    }
+  }
+}
+
+async function _refreshOne({service}) {
+  /* Find and claim a status list that is due for refresh. If none is found,
+  return `false` to wait before trying again. If one is found but another
+  process claimed it first, return `true` to look for another one.
+
+  Any unexpected error is logged and treated as if no status list was found
+  to prevent hard loops during database or network outages; a status list
+  that failed to refresh will become eligible again once its claim expires.
+  Conflicts with concurrent updates (`InvalidStateError`) are handled by
+  `slcs.refresh()` itself. */
+  try {
+    const {found, record} = await slcs.claimRefreshable();
+    if(!record) {
+      return found;
+    }
+
+    const {statusListId} = record;
+    let config;
+    try {
+      ({config} = await service.configStorage.get({
+        id: _getConfigId({statusListId})
+      }));
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+      // status instance no longer exists, stop refreshing its status lists
+      await slcs.disableRefresh({statusListId});
+      return true;
+    }
+    await slcs.refresh({config, statusListId});
+  } catch(error) {
+    logger.error('Error during status list refresh.', {error});
+    return false;
+  }
+
+  return true;
+}
+
+function _getConfigId({statusListId}) {
+  // status list IDs are of the form: `<configId>/status-lists/<suffix>`
+  const cfg = bedrock.config['vc-status'];
+  const idx = statusListId.lastIndexOf(`${cfg.routes.statusLists}/`);
+  return statusListId.slice(0, idx);
+}
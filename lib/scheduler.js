@@ -0,0 +1,126 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as pending from './pending.js';
+import {logger} from './logger.js';
+import {setStatus} from './status.js';
+import {setTimeout as sleep} from 'node:timers/promises';
+
+/**
+ * Schedules a job that continuously applies pending status changes once they
+ * come due. The job may safely run on multiple processes at once; each
+ * pending change is claimed before it is applied.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.service - The `vc-status` service.
+ */
+export function scheduleChanges({service} = {}) {
+  const {scheduledChanges: {enabled}} = bedrock.config['vc-status'];
+  if(!enabled) {
+    return;
+  }
+
+  const abortController = new AbortController();
+  const {signal} = abortController;
+  let shutdownPromise;
+
+  bedrock.events.on('bedrock.ready', () => {
+    // start the scheduler which runs continuously
+    shutdownPromise = _start({service, signal});
+  });
+
+  bedrock.events.on('bedrock.exit', async () => {
+    try {
+      // abort scheduler job
+      abortController.abort();
+      logger.debug(
+        'Sent abort signal to status change scheduler; awaiting shutdown...');
+      await shutdownPromise;
+      logger.debug('Shutdown of status change scheduler was successful.');
+    } catch(error) {
+      logger.error('Error during status change scheduler shutdown.', {error});
+    }
+  });
+}
+
+async function _start({service, signal}) {
+  const {scheduledChanges: {interval}} = bedrock.config['vc-status'];
+  while(!signal.aborted) {
+    try {
+      // apply an eligible pending change
+      if(await _applyOne({service})) {
+        continue;
+      }
+      // no eligible pending change found (or an error occurred), so wait
+      await sleep(interval, undefined, {signal});
+    } catch(error) {
+      if(error.name === 'AbortError') {
+        break;
+      }
+      logger.error('Error during scheduled status change.', {error});
+    }
+  }
+}
+
+async function _applyOne({service}) {
+  /* Find and claim a pending change that is due. If none is found, return
+  `false` to wait before trying again. If one is found but another process
+  claimed it first, return `true` to look for another one.
+
+  Any unexpected error is logged and treated as if no pending change was
+  found to prevent hard loops during database or network outages; a pending
+  change that failed to apply will become eligible again once its claim
+  expires. A pending change that can never be applied, because its status
+  instance no longer exists or it is no longer valid, is dropped. */
+  let pendingChange;
+  try {
+    const {found, record} = await pending.claimDue();
+    if(!record) {
+      return found;
+    }
+
+    ({pendingChange} = record);
+    const {
+      id, configId, credentialId, credentialStatus, status, until,
+      expectedStatus, invoker
+    } = pendingChange;
+    let config;
+    try {
+      ({config} = await service.configStorage.get({id: configId}));
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+      // status instance no longer exists, drop change
+      await pending.remove({id});
+      return true;
+    }
+    if(until !== undefined && Date.parse(until) <= Date.now()) {
+      // the change came due too late, after it was already to be reverted,
+      // so skip it; applying and reverting it would leave the status as is
+      logger.info(
+        `Skipping scheduled status change "${id}" that was due to be ` +
+        `reverted at ${until}.`);
+      await pending.remove({id});
+      return true;
+    }
+    await setStatus({
+      config, credentialId, credentialStatus, status, until, expectedStatus,
+      invoker
+    });
+    await pending.remove({id});
+  } catch(error) {
+    if(pendingChange && error.name === 'DataError') {
+      logger.error(
+        `Dropping invalid scheduled status change "${pendingChange.id}".`,
+        {error});
+      await pending.remove({id: pendingChange.id});
+      return true;
+    }
+    logger.error('Error during scheduled status change.', {error});
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,87 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as vc from '@digitalbazaar/vc';
+import {AsymmetricKey, KmsClient} from '@digitalbazaar/webkms-client';
+import {DataIntegrityProof} from '@digitalbazaar/data-integrity';
+import {documentLoader} from '@bedrock/jsonld-document-loader';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {
+  cryptosuite as eddsaRdfc2022CryptoSuite
+} from '@digitalbazaar/eddsa-rdfc-2022-cryptosuite';
+import {httpsAgent} from '@bedrock/https-agent';
+import {serviceAgents} from '@bedrock/service-agent';
+import {serviceType} from './constants.js';
+
+// register contexts used by status list credentials and their proofs
+import '@bedrock/credentials-context';
+import '@bedrock/data-integrity-context';
+import '@bedrock/security-context';
+import '@bedrock/vc-revocation-list-context';
+import '@bedrock/vc-status-list-context';
+
+const {util: {BedrockError}} = bedrock;
+
+// cryptosuite name => function that creates a suite using a signer
+const SUITES = new Map([
+  ['eddsa-rdfc-2022', ({signer}) => new DataIntegrityProof({
+    signer, cryptosuite: eddsaRdfc2022CryptoSuite
+  })],
+  ['Ed25519Signature2020', ({signer}) => new Ed25519Signature2020({signer})]
+]);
+
+/**
+ * Gets a signer for the WebKMS key referenced by the status instance config's
+ * `assertionMethod` zcap.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ *
+ * @returns {Promise<object>} Resolves to the signer.
+ */
+export async function getSigner({config} = {}) {
+  // get the assertion method key via the status service agent
+  const {serviceAgent} = await serviceAgents.get({serviceType});
+  const {capabilityAgent, zcaps} = await serviceAgents.getEphemeralAgent(
+    {config, serviceAgent});
+  return AsymmetricKey.fromCapability({
+    capability: zcaps.assertionMethod,
+    invocationSigner: capabilityAgent.getSigner(),
+    kmsClient: new KmsClient({httpsAgent})
+  });
+}
+
+/**
+ * Signs a status list credential in-process, per the status instance config's
+ * `issueOptions`, using the WebKMS key referenced by its `assertionMethod`
+ * zcap.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ * @param {object} options.credential - The credential to sign.
+ *
+ * @returns {Promise<object>} Resolves to the signed credential.
+ */
+export async function signCredential({config, credential} = {}) {
+  const {issueOptions: {issuer, cryptosuite}} = config;
+  let suite;
+  try {
+    const signer = await getSigner({config});
+    suite = SUITES.get(cryptosuite)({signer});
+  } catch(cause) {
+    throw new BedrockError(
+      'Unable to create cryptosuite for signing status list credential: ' +
+      cause.message, {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 500,
+          public: true
+        },
+        cause
+      });
+  }
+
+  credential.issuer = issuer;
+  return vc.issue({credential, documentLoader, suite});
+}
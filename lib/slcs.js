@@ -3,23 +3,38 @@
  */
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
+import * as publisher from './publisher.js';
 import {
-  createList,
-  createCredential as createListCredential
+  createList, createRevocationListCredential, decodeList, getListLength,
+  getStatusPurpose
+} from './lists.js';
+import {
+  createCredential as createListCredential,
+  decodeList as decodeBitstringList
 } from '@digitalbazaar/vc-bitstring-status-list';
+import {LIST_TYPE_TO_ENTRY_TYPE, SKEW_TIME_MS} from './constants.js';
+import assert from 'assert-plus';
 import {
-  createList as createList2021,
   createCredential as createList2021Credential
 } from '@digitalbazaar/vc-status-list';
-import {LIST_TYPE_TO_ENTRY_TYPE, SKEW_TIME_MS} from './constants.js';
-import assert from 'assert-plus';
+import {createTokenStatusListCredential} from './tokens.js';
 import {issue} from './issue.js';
+import {logger} from './logger.js';
 import {LruCache} from '@digitalbazaar/lru-memoize';
+import {LRUCache} from 'lru-cache';
+import {meters} from '@bedrock/meter-usage-reporter';
+import {randomUUID} from 'node:crypto';
+import {serviceType} from './constants.js';
 
 const {util: {BedrockError}} = bedrock;
 
 const COLLECTION_NAME = 'vc-status-slc';
 let SLC_CACHE;
+// status list ID => `{sequence, responses}` w/ the precomputed responses for
+// the latest sequence, by media type
+let RESPONSE_CACHE;
+// responses that are being computed, to compute each only once
+const PENDING_RESPONSES = new Map();
 
 bedrock.events.on('bedrock.init', () => {
   const cfg = bedrock.config['vc-status'];
@@ -39,6 +54,11 @@ bedrock.events.on('bedrock.init', () => {
   }
 
   SLC_CACHE = new LruCache(cacheConfig);
+
+  const {maxSize, ttl} = cfg.caches.response;
+  RESPONSE_CACHE = new LRUCache({
+    maxSize, ttl, sizeCalculation: _getResponsesSize
+  });
 });
 
 bedrock.events.on('bedrock-mongodb.ready', async () => {
@@ -49,6 +69,18 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
     collection: COLLECTION_NAME,
     fields: {statusListId: 1},
     options: {unique: true}
+  }, {
+    // for finding SLCs that need a background refresh
+    collection: COLLECTION_NAME,
+    fields: {'meta.refresh.after': 1},
+    options: {unique: false}
+  }, {
+    // for finding SLCs with unallocated indexes
+    collection: COLLECTION_NAME,
+    fields: {
+      'credential.credentialSubject.statusPurpose': 1, statusListId: 1
+    },
+    options: {unique: false}
   }]);
 });
 
@@ -63,14 +95,32 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
  *   status of a VC for the first time on the created status list.
  * @param {string} options.credentialId - The ID of the status list credential.
  * @param {string} options.type - The type of status list credential.
- * @param {string} options.statusPurpose - The status purpose.
+ * @param {string} options.statusPurpose - The status purpose; must be
+ *   `revocation` for a `RevocationList2020`.
  * @param {number} options.length - The length of the status list in bits.
+ * @param {number} [options.statusSize=1] - The size of each status entry in
+ *   bits; only `BitstringStatusList` and `TokenStatusList` support sizes
+ *   other than `1`.
+ * @param {Array<object>} [options.statusMessage] - The status messages that
+ *   describe each possible status value; required when `statusSize > 1` for
+ *   a `BitstringStatusList`, with one message per value; each message's
+ *   `status` must be unique and at most `2^statusSize - 1`.
+ * @param {string} [options.format] - The format of the Status List Tokens of
+ *   a `TokenStatusList`, `jwt` (the default) or `cwt`.
+ * @param {string} [options.allocation='client'] - Who allocates the indexes
+ *   of the status list: the issuer of each credential (`client`) or the
+ *   status service (`server`, see `findOpen()`).
+ * @param {string} [options.encodedList] - An existing encoded list to import,
+ *   e.g., from an older service, instead of starting with an empty list; it
+ *   must use the encoding of the status list type and have the given
+ *   `length`. Its indexes are allocated by the issuer of each credential.
  *
  * @returns {Promise<object>} Settles once the operation completes.
  */
 export async function create({
   config, statusListId, indexAllocator,
-  credentialId, type, statusPurpose, length
+  credentialId, type, statusPurpose, length,
+  statusSize = 1, statusMessage, format, allocation = 'client', encodedList
 } = {}) {
   if(!LIST_TYPE_TO_ENTRY_TYPE.has(type)) {
     throw new BedrockError(
@@ -98,29 +148,97 @@ export async function create({
         }
       });
   }
+  // Status List Tokens are signed in-process, so reject a Token Status List
+  // before any storage is checked or written if they cannot be signed
+  if(type === 'TokenStatusList' && !config.issueOptions) {
+    throw new BedrockError(
+      'Token status lists require a status instance that signs in-process ' +
+      'via "issueOptions".', {
+        name: 'NotSupportedError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+  if(format !== undefined && type !== 'TokenStatusList') {
+    throw new BedrockError(
+      `Status list type "${type}" does not support "format".`, {
+        name: 'NotSupportedError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+  if(type === 'RevocationList2020' && statusPurpose !== 'revocation') {
+    throw new BedrockError(
+      `Status list type "${type}" only supports the "revocation" status ` +
+      'purpose.', {
+        name: 'NotSupportedError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+  if(encodedList !== undefined && allocation === 'server') {
+    throw new BedrockError(
+      'An imported "encodedList" cannot be used with server allocation ' +
+      'because its indexes may already be in use.', {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+  _assertStatusSize({type, length, statusSize, statusMessage});
+  const list = await createList({type, length, statusSize});
   let credential;
   if(type === 'BitstringStatusList') {
-    const list = await createList({length});
     credential = await createListCredential({
       id: credentialId, list, statusPurpose
     });
+    if(statusSize !== 1) {
+      credential.credentialSubject.statusSize = statusSize;
+    }
+    if(statusMessage !== undefined) {
+      credential.credentialSubject.statusMessage = statusMessage;
+    }
+  } else if(type === 'TokenStatusList') {
+    credential = await createTokenStatusListCredential({
+      id: credentialId, list, statusPurpose, format
+    });
+  } else if(type === 'RevocationList2020') {
+    credential = await createRevocationListCredential({
+      id: credentialId, list
+    });
   } else {
     // `type` must be `StatusList2021`
-    const list = await createList2021({length});
     credential = await createList2021Credential({
       id: credentialId, list, statusPurpose
     });
   }
-  credential.name = 'Status List Credential';
-  credential.description =
-    `This credential expresses status information for some ` +
-    'other credentials in an encoded and compressed list.';
+  if(encodedList !== undefined) {
+    await _importEncodedList({credential, encodedList});
+  }
+  await _assertStorageAvailable({config, credential});
+  if(type !== 'TokenStatusList') {
+    credential.name = 'Status List Credential';
+    credential.description =
+      `This credential expresses status information for some ` +
+      'other credentials in an encoded and compressed list.';
+  }
   let envelope = undefined;
   ({verifiableCredential: credential, envelope} = await issue({
     config, credential
   }));
 
-  await set({statusListId, indexAllocator, credential, envelope, sequence: 0});
+  await set({
+    statusListId, indexAllocator, credential, envelope, sequence: 0, length,
+    allocation
+  });
   return {statusListId, indexAllocator, credential, envelope};
 }
 
@@ -141,17 +259,35 @@ export async function create({
  * @param {number} options.sequence - The sequence number associated with the
  *   credential; used to ensure only newer versions of the credential are
  *   stored.
+ * @param {number} [options.length] - The length of the status list in bits;
+ *   only stored when the status list is first created, along with the
+ *   number of indexes it has available for allocation.
+ * @param {string} [options.allocation] - Who allocates the indexes of the
+ *   status list, `client` or `server`; only stored when the status list is
+ *   first created.
+ * @param {string} [options.migratedFrom] - The type of status list that the
+ *   status list was migrated from (see `migrate()`); once stored, it is kept
+ *   for every later version of the status list credential.
+ * @param {Array<object>} [options.events=[]] - Status change events, each
+ *   with an `id`, to store in the same write as the credential so that they
+ *   can be recorded once it is committed; they are kept, as
+ *   `meta.pendingEvents`, until removed via `removePendingEvents()`.
  *
  * @returns {Promise<object>} Settles once the operation completes.
  */
 export async function set({
-  statusListId, indexAllocator, credential, envelope, sequence
+  statusListId, indexAllocator, credential, envelope, sequence, length,
+  allocation, migratedFrom, events = []
 } = {}) {
   assert.string(statusListId, 'statusListId');
   assert.string(indexAllocator, 'indexAllocator');
   assert.object(credential, 'credential');
   assert.optionalObject(envelope, 'envelope');
   assert.number(sequence, 'sequence');
+  assert.optionalNumber(length, 'length');
+  assert.optionalString(allocation, 'allocation');
+  assert.optionalString(migratedFrom, 'migratedFrom');
+  assert.arrayOfObject(events, 'events');
 
   try {
     const collection = database.collections[COLLECTION_NAME];
@@ -160,19 +296,36 @@ export async function set({
       credential,
       'meta.updated': now,
       'meta.sequence': sequence,
-      'meta.envelope': envelope ?? null
+      'meta.envelope': envelope ?? null,
+      'meta.refresh': _getRefreshMeta({credential}),
+      ...(migratedFrom === undefined ? {} : {'meta.migratedFrom': migratedFrom})
     };
     const result = await collection.updateOne({
       statusListId,
       'meta.sequence': sequence === 0 ? null : sequence - 1
     }, {
       $set,
-      $setOnInsert: {statusListId, indexAllocator, 'meta.created': now}
+      ...(events.length === 0 ? {} : {
+        $push: {'meta.pendingEvents': {$each: events}}
+      }),
+      $setOnInsert: {
+        statusListId, indexAllocator, 'meta.created': now,
+        ...(length === undefined ? {} : {
+          length,
+          capacity: length / (credential.credentialSubject.statusSize ?? 1),
+          allocated: 0
+        }),
+        ...(allocation === undefined ? {} : {allocation})
+      }
     }, {upsert: true});
 
     if(result.modifiedCount > 0 || result.upsertedCount > 0) {
-      // document upserted or modified: success; clear cache
+      // document upserted or modified: success; clear caches
       SLC_CACHE.delete(statusListId);
+      RESPONSE_CACHE.delete(statusListId);
+      // publish in the background so that the write never waits on the
+      // publishing target
+      _publish({statusListId, credential, envelope, sequence});
       return true;
     }
   } catch(e) {
@@ -191,6 +344,75 @@ export async function set({
     });
 }
 
+/**
+ * Removes status change events that were stored with a status list
+ * credential (see `set()`) once they have been recorded.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.statusListId - The ID of the status list.
+ * @param {Array<string>} options.ids - The IDs of the events to remove.
+ *
+ * @returns {Promise<object>} Settles once the operation completes.
+ */
+export async function removePendingEvents({statusListId, ids} = {}) {
+  assert.string(statusListId, 'statusListId');
+  assert.arrayOfString(ids, 'ids');
+
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne(
+    {statusListId},
+    {$pull: {'meta.pendingEvents': {id: {$in: ids}}}});
+}
+
+/**
+ * Finds a status list credential that is due for a background refresh and
+ * claims it, isolating it from other processes for a short period of time.
+ *
+ * @returns {Promise<object>} Resolves to `{found, record}` where `found` is
+ *   `false` if no status list credential is due for refresh and `record` is
+ *   only set if one was found and successfully claimed.
+ */
+export async function claimRefreshable() {
+  const collection = database.collections[COLLECTION_NAME];
+  const now = Date.now();
+  const record = await collection.findOne({
+    'meta.refresh.after': {$lt: now}
+  }, {projection: {_id: 0, statusListId: 1, 'meta.refresh': 1}});
+  if(!record) {
+    return {found: false};
+  }
+
+  // try to claim the record by extending its `after` time, only succeeding
+  // if no other process has done so concurrently
+  const {backgroundRefresh: {isolateTimeout}} = bedrock.config['vc-status'];
+  const result = await collection.updateOne({
+    statusListId: record.statusListId,
+    'meta.refresh.after': record.meta.refresh.after
+  }, {
+    $set: {'meta.refresh.after': now + isolateTimeout}
+  });
+  if(result.modifiedCount === 0) {
+    return {found: true};
+  }
+  return {found: true, record};
+}
+
+/**
+ * Disables background refresh for the given status list, e.g., because its
+ * status instance no longer exists.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.statusListId - The ID of the status list.
+ *
+ * @returns {Promise<object>} Settles once the operation completes.
+ */
+export async function disableRefresh({statusListId} = {}) {
+  assert.string(statusListId, 'statusListId');
+
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne({statusListId}, {$set: {'meta.refresh': null}});
+}
+
 /**
  * Gets the status list credential for the given status list.
  *
@@ -212,9 +434,252 @@ export async function get({statusListId, useCache = true} = {}) {
   return fn();
 }
 
+/**
+ * Finds a status list for the given status instance and status purpose that
+ * has unallocated indexes. Only status lists whose indexes are allocated by
+ * the status service (those created with `allocation: 'server'`) are
+ * considered.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ * @param {string} options.statusPurpose - The status purpose.
+ *
+ * @returns {Promise<object|null>} Resolves to `{statusListId,
+ *   statusListCredential, capacity}` or `null` if no status list has
+ *   unallocated indexes.
+ */
+export async function findOpen({config, statusPurpose} = {}) {
+  assert.object(config, 'config');
+  assert.string(statusPurpose, 'statusPurpose');
+
+  const cfg = bedrock.config['vc-status'];
+  const prefix = `${config.id}${cfg.routes.statusLists}/`;
+  const collection = database.collections[COLLECTION_NAME];
+  // legacy `RevocationList2020` lists have no status purpose; it is always
+  // `revocation`
+  const purposeQuery = statusPurpose === 'revocation' ? {
+    $or: [
+      {'credential.credentialSubject.statusPurpose': statusPurpose},
+      {'credential.credentialSubject.type': 'RevocationList2020'}
+    ]
+  } : {'credential.credentialSubject.statusPurpose': statusPurpose};
+  const record = await collection.findOne({
+    ...purposeQuery,
+    statusListId: {$regex: `^${_escapeRegex(prefix)}`},
+    allocation: 'server',
+    capacity: {$exists: true},
+    $expr: {$lt: ['$allocated', '$capacity']}
+  }, {
+    projection: {_id: 0, statusListId: 1, capacity: 1, 'credential.id': 1},
+    sort: {statusListId: 1}
+  });
+  if(!record) {
+    return null;
+  }
+  const {statusListId, capacity, credential} = record;
+  return {statusListId, statusListCredential: credential.id, capacity};
+}
+
+/**
+ * Adjusts the number of allocated indexes tracked for a status list.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.statusListId - The ID of the status list.
+ * @param {number} [options.count=1] - The number of indexes that were
+ *   allocated (or, if negative, released).
+ *
+ * @returns {Promise<object>} Settles once the operation completes.
+ */
+export async function addAllocated({statusListId, count = 1} = {}) {
+  assert.string(statusListId, 'statusListId');
+  assert.number(count, 'count');
+
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne(
+    {statusListId, capacity: {$exists: true}},
+    {$inc: {allocated: count}});
+}
+
+/**
+ * Marks every index of a status list as allocated, e.g., because its tracked
+ * allocation count was found to be stale when no unused index remained.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.statusListId - The ID of the status list.
+ *
+ * @returns {Promise<object>} Settles once the operation completes.
+ */
+export async function markFull({statusListId} = {}) {
+  assert.string(statusListId, 'statusListId');
+
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne(
+    {statusListId, capacity: {$exists: true}},
+    [{$set: {allocated: '$capacity'}}]);
+}
+
+/**
+ * Rolls over to a new namespaced status list for the given status purpose,
+ * i.e., one with an ID of the form `<prefix>/<statusPurpose>/<listIndex>`,
+ * if the one with the highest `listIndex` has no unallocated indexes and
+ * its indexes are allocated by the status service. The new status list has
+ * the next `listIndex` and the same type, length, and status purpose (and
+ * status size, messages, and format) as the full one.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ * @param {string} options.statusPurpose - The status purpose.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if a new status list was
+ *   created (by this or another process) and `false` if there is no full
+ *   namespaced status list to roll over from.
+ */
+export async function rollover({config, statusPurpose} = {}) {
+  assert.object(config, 'config');
+  assert.string(statusPurpose, 'statusPurpose');
+
+  // find the namespaced status list with the highest list index
+  const cfg = bedrock.config['vc-status'];
+  const prefix = `${config.id}${cfg.routes.statusLists}/` +
+    `${encodeURIComponent(statusPurpose)}/`;
+  const collection = database.collections[COLLECTION_NAME];
+  const records = await collection.find({
+    statusListId: {$regex: `^${_escapeRegex(prefix)}(0|[1-9][0-9]*)$`}
+  }, {projection: {_id: 0, statusListId: 1}}).toArray();
+  if(records.length === 0) {
+    return false;
+  }
+  const listIndex = Math.max(...records.map(
+    ({statusListId}) => parseInt(statusListId.slice(prefix.length), 10)));
+
+  // only roll over from a full status list w/ matching status purpose
+  const statusListId = `${prefix}${listIndex}`;
+  const record = await collection.findOne({statusListId}, {
+    projection: {
+      _id: 0, length: 1, capacity: 1, allocated: 1, allocation: 1,
+      credential: 1
+    }
+  });
+  const {length, capacity, allocated, allocation, credential} = record;
+  const {
+    credentialSubject: {type, statusSize = 1, statusMessage, format}
+  } = credential;
+  if(allocation !== 'server' || capacity === undefined ||
+    allocated < capacity || getStatusPurpose({credential}) !== statusPurpose) {
+    return false;
+  }
+
+  // the credential ID shares the status list ID's `/<listIndex>` suffix
+  const nextListIndex = listIndex + 1;
+  const credentialId = credential.id.slice(0, -`${listIndex}`.length) +
+    nextListIndex;
+  try {
+    await create({
+      config, statusListId: `${prefix}${nextListIndex}`,
+      indexAllocator: `urn:uuid:${randomUUID()}`, credentialId,
+      type, statusPurpose, length, statusSize, statusMessage, format,
+      allocation
+    });
+  } catch(e) {
+    if(e.name !== 'InvalidStateError') {
+      throw e;
+    }
+    // status list concurrently created by another process
+  }
+  return true;
+}
+
+/**
+ * Gets the storage used by the status lists of the given status instance.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ *
+ * @returns {Promise<object>} Resolves to `{count, bytes}` with the number of
+ *   status lists and the total size, in bytes, of their encoded lists.
+ */
+export async function getUsage({config} = {}) {
+  assert.object(config, 'config');
+
+  const cfg = bedrock.config['vc-status'];
+  const prefix = `${config.id}${cfg.routes.statusLists}/`;
+  const collection = database.collections[COLLECTION_NAME];
+  const [result] = await collection.aggregate([{
+    $match: {statusListId: {$regex: `^${_escapeRegex(prefix)}`}}
+  }, {
+    $group: {
+      _id: null,
+      count: {$sum: 1},
+      bytes: {
+        $sum: {
+          $strLenBytes: {
+            $ifNull: ['$credential.credentialSubject.encodedList', '']
+          }
+        }
+      }
+    }
+  }]).toArray();
+  return {count: result?.count ?? 0, bytes: result?.bytes ?? 0};
+}
+
+/**
+ * Gets a page of summaries of the status lists for the given status instance,
+ * ordered by status list ID.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ * @param {number} [options.limit=100] - The maximum number of status lists
+ *   to return.
+ * @param {string} [options.after] - A status list ID; only status lists with
+ *   IDs that sort after this one are returned.
+ *
+ * @returns {Promise<object>} Resolves to `{statusLists, next}` where `next`
+ *   is the value of `after` to use to get the next page, if any.
+ */
+export async function find({config, limit = 100, after} = {}) {
+  assert.object(config, 'config');
+  assert.number(limit, 'limit');
+  assert.optionalString(after, 'after');
+
+  // all status lists for an instance share the same ID prefix
+  const cfg = bedrock.config['vc-status'];
+  const prefix = `${config.id}${cfg.routes.statusLists}/`;
+  const query = {statusListId: {$regex: `^${_escapeRegex(prefix)}`}};
+  if(after !== undefined) {
+    query.statusListId.$gt = after;
+  }
+
+  // fetch one more than `limit` to determine if there is a next page
+  // only project what is summarized; other `meta` fields, e.g., `envelope`,
+  // can be large
+  const collection = database.collections[COLLECTION_NAME];
+  const records = await collection.find(query, {
+    projection: {
+      _id: 0, statusListId: 1, indexAllocator: 1, length: 1, allocated: 1,
+      allocation: 1,
+      'meta.created': 1, 'meta.updated': 1, 'meta.sequence': 1,
+      'credential.id': 1,
+      'credential.credentialSubject.type': 1,
+      'credential.credentialSubject.statusPurpose': 1,
+      'credential.credentialSubject.statusSize': 1
+    },
+    sort: {statusListId: 1},
+    limit: limit + 1
+  }).toArray();
+
+  const hasNext = records.length > limit;
+  if(hasNext) {
+    records.pop();
+  }
+  const statusLists = await Promise.all(records.map(_summarize));
+  const next = hasNext ? statusLists.at(-1).id : undefined;
+  return {statusLists, next};
+}
+
 /**
  * Gets the credential for the given status list ID, refreshing it if it has
- * expired.
+ * expired, along with its envelope, `validUntil` date, the date it was last
+ * modified (`lastModified`), and its `sequence`.
  *
  * @param {object} options - The options to use.
  * @param {object} options.config - The status instance config.
@@ -226,7 +691,7 @@ export async function getFresh({config, statusListId} = {}) {
   assert.object(config, 'config');
   assert.string(statusListId, 'statusListId');
 
-  const record = await get({statusListId});
+  let record = await get({statusListId});
   // check for expired SLC; get `now` as a n time into the future to ensure
   // any refreshed VC is still valid once returned to the client
   const now = new Date();
@@ -234,22 +699,69 @@ export async function getFresh({config, statusListId} = {}) {
   const validUntil = new Date(
     record.credential.validUntil ||
     record.credential.expirationDate);
-  if(now <= validUntil) {
-    // SLC not expired
-    return {
-      credential: record.credential,
-      envelope: record.meta.envelope,
-      validUntil
-    };
+  if(now > validUntil) {
+    // refresh SLC and get the refreshed record
+    await refresh({config, statusListId});
+    record = await get({statusListId});
   }
-  // refresh SLC
-  const {credential, envelope} = await refresh({config, statusListId});
+  const {credential, meta: {envelope, updated, sequence}} = record;
   return {
     credential, envelope,
-    validUntil: new Date(credential.validUntil || credential.expirationDate)
+    validUntil: new Date(credential.validUntil || credential.expirationDate),
+    lastModified: new Date(updated),
+    sequence
   };
 }
 
+/**
+ * Gets a precomputed response for a representation of a status list
+ * credential, e.g., its serialized and compressed HTTP response bodies,
+ * computing it only once per sequence of the status list credential. Only
+ * the responses for the latest sequence of each status list are cached, in a
+ * cache bounded by the total size of the response bodies.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.statusListId - The ID of the status list.
+ * @param {number} options.sequence - The sequence of the status list
+ *   credential the response was computed from.
+ * @param {string} options.mediaType - The media type of the representation.
+ * @param {Function} options.fn - A function that computes the response.
+ *
+ * @returns {Promise<object>} Resolves to the response.
+ */
+export async function getCachedResponse({
+  statusListId, sequence, mediaType, fn
+} = {}) {
+  assert.string(statusListId, 'statusListId');
+  assert.number(sequence, 'sequence');
+  assert.string(mediaType, 'mediaType');
+  assert.func(fn, 'fn');
+
+  const cached = RESPONSE_CACHE.get(statusListId);
+  if(cached?.sequence === sequence && cached.responses.has(mediaType)) {
+    return cached.responses.get(mediaType);
+  }
+
+  // compute response once, even if requested concurrently
+  const key = `${sequence}:${mediaType}:${statusListId}`;
+  let promise = PENDING_RESPONSES.get(key);
+  if(!promise) {
+    promise = (async () => {
+      const response = await fn();
+      _cacheResponse({statusListId, sequence, mediaType, response});
+      return response;
+    })();
+    PENDING_RESPONSES.set(key, promise);
+  }
+  try {
+    return await promise;
+  } finally {
+    if(PENDING_RESPONSES.get(key) === promise) {
+      PENDING_RESPONSES.delete(key);
+    }
+  }
+}
+
 /**
  * Refreshes the status list credential for a status list, if a newer version
  * (since the time at which this function was called) has not already been set.
@@ -293,12 +805,377 @@ export async function refresh({config, statusListId} = {}) {
   }
 }
 
+/**
+ * Migrates a `StatusList2021` status list to a `BitstringStatusList` with the
+ * same bits, reissuing its status list credential, at the same URL, as a
+ * `BitstringStatusListCredential`. Status entries of credentials issued before
+ * the migration continue to be accepted when setting their status.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ * @param {string} options.statusListId - The ID of the status list.
+ *
+ * @returns {Promise<object>} Resolves to `{credential, envelope}` with the
+ *   migrated status list credential.
+ */
+export async function migrate({config, statusListId} = {}) {
+  assert.object(config, 'config');
+  assert.string(statusListId, 'statusListId');
+
+  const record = await get({statusListId, useCache: false});
+  const {credential: slc} = record;
+  const {credentialSubject: {type, statusPurpose, encodedList}} = slc;
+  if(type !== 'StatusList2021') {
+    throw new BedrockError(
+      `Status list type "${type}" cannot be migrated; only "StatusList2021" ` +
+      'status lists can be migrated.', {
+        name: 'NotSupportedError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+
+  // `BitstringStatusList` uses the same encoding as `StatusList2021` but with
+  // a multibase (base64url) prefix
+  const list = await decodeBitstringList({encodedList: `u${encodedList}`});
+  const unsigned = await createListCredential({
+    id: slc.id, list, statusPurpose
+  });
+  unsigned.name = slc.name;
+  unsigned.description = slc.description;
+  const {verifiableCredential: credential, envelope} = await issue({
+    config, credential: unsigned
+  });
+
+  // any concurrent update causes a stale sequence error; the migration can
+  // then be retried
+  await set({
+    statusListId, indexAllocator: record.indexAllocator,
+    credential, envelope, sequence: record.meta.sequence + 1,
+    migratedFrom: type
+  });
+  return {credential, envelope};
+}
+
+/**
+ * Publishes every status list credential to the configured publishing
+ * target, e.g., to fully re-export all status lists.
+ *
+ * @returns {Promise<number>} Resolves to the number of status list
+ *   credentials published.
+ */
+export async function publishAll() {
+  const collection = database.collections[COLLECTION_NAME];
+  const cursor = collection.find({}, {
+    projection: {
+      _id: 0, statusListId: 1, credential: 1, 'meta.envelope': 1,
+      'meta.sequence': 1
+    }
+  });
+  let count = 0;
+  for await (const {statusListId, credential, meta} of cursor) {
+    const {envelope, sequence} = meta;
+    if(await publisher.publish({
+      statusListId, credential, envelope, sequence
+    })) {
+      ++count;
+    }
+  }
+  return count;
+}
+
+function _getRefreshMeta({credential}) {
+  // schedule background refresh once the configured fraction of the SLC's
+  // usable validity period (that which remains after skew time) has passed
+  const validFrom = Date.parse(
+    credential.validFrom || credential.issuanceDate);
+  const validUntil = Date.parse(
+    credential.validUntil || credential.expirationDate);
+  if(!(Number.isFinite(validFrom) && Number.isFinite(validUntil))) {
+    return null;
+  }
+  const {backgroundRefresh: {threshold}} = bedrock.config['vc-status'];
+  const usable = Math.max(validUntil - validFrom - SKEW_TIME_MS, 0);
+  return {after: validFrom + Math.floor(usable * threshold)};
+}
+
+function _escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function _summarize(record) {
+  const {
+    statusListId, indexAllocator, allocated, allocation = 'client',
+    credential, meta: {created, updated, sequence}
+  } = record;
+  const {credentialSubject: {type, statusSize = 1}} = credential;
+  const statusPurpose = getStatusPurpose({credential});
+  let {length} = record;
+  if(length === undefined) {
+    length = await _backfillLength({statusListId});
+  }
+  return {
+    id: statusListId,
+    credentialId: credential.id,
+    type, statusPurpose, length, statusSize, indexAllocator, allocation,
+    sequence,
+    // only tracked for status lists created w/ a stored `length`
+    ...(allocated === undefined ? {} : {allocated}),
+    created: new Date(created).toISOString(),
+    updated: new Date(updated).toISOString()
+  };
+}
+
+async function _backfillLength({statusListId}) {
+  // status lists created before `length` was stored have it computed once,
+  // from their encoded list, and stored; `capacity` is not set so that these
+  // status lists still do not track allocation
+  const collection = database.collections[COLLECTION_NAME];
+  const {credential} = await collection.findOne({statusListId}, {
+    projection: {
+      _id: 0,
+      'credential.type': 1,
+      'credential.credentialSubject.type': 1,
+      'credential.credentialSubject.encodedList': 1
+    }
+  });
+  const length = await getListLength({credential});
+  await collection.updateOne(
+    {statusListId, length: {$exists: false}}, {$set: {length}});
+  return length;
+}
+
+function _assertStatusSize({type, length, statusSize, statusMessage}) {
+  if(statusSize === 1 && statusMessage === undefined) {
+    return;
+  }
+  if(type === 'TokenStatusList') {
+    // Token Status Lists only support status sizes that evenly divide a byte
+    // and have no status messages
+    if(statusMessage !== undefined) {
+      throw new BedrockError(
+        `Status list type "${type}" does not support "statusMessage".`, {
+          name: 'NotSupportedError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+    if(![1, 2, 4, 8].includes(statusSize)) {
+      throw new BedrockError(
+        `Status list type "${type}" requires a "statusSize" of 1, 2, 4, ` +
+        'or 8.', {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+  } else if(type !== 'BitstringStatusList') {
+    throw new BedrockError(
+      `Status list type "${type}" does not support "statusSize" or ` +
+      '"statusMessage".', {
+        name: 'NotSupportedError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+  if(length % statusSize !== 0) {
+    throw new BedrockError(
+      `Status list length (${length}) must be a multiple of "statusSize" ` +
+      `(${statusSize}).`, {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+  // every possible status value of a multi-bit `BitstringStatusList` must
+  // have a message
+  const count = 2 ** statusSize;
+  if(type === 'BitstringStatusList' && statusSize > 1) {
+    if(statusMessage === undefined) {
+      throw new BedrockError(
+        `"statusMessage" is required when "statusSize" is ${statusSize}.`, {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+    if(statusMessage.length !== count) {
+      throw new BedrockError(
+        `"statusMessage" must have ${count} entries when "statusSize" is ` +
+        `${statusSize}.`, {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+  }
+  if(statusMessage === undefined) {
+    return;
+  }
+  // each message must describe a different status value that fits in an
+  // entry
+  const values = new Set();
+  for(const {status} of statusMessage) {
+    const value = parseInt(status, 16);
+    if(value > count - 1) {
+      throw new BedrockError(
+        `"statusMessage" status "${status}" exceeds the maximum status ` +
+        `value (${count - 1}) when "statusSize" is ${statusSize}.`, {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+    if(values.has(value)) {
+      throw new BedrockError(
+        `"statusMessage" status "${status}" is not unique.`, {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+    values.add(value);
+  }
+}
+
+async function _assertStorageAvailable({config, credential}) {
+  // check available storage via meter before allowing a new status list,
+  // including the storage its encoded list uses (see `getUsage()`), which
+  // can be large for an imported list
+  const {meterId} = config;
+  const {storageCost} = bedrock.config['vc-status'];
+  const bytes = Buffer.byteLength(
+    credential.credentialSubject.encodedList ?? '', 'utf8');
+  const storage = storageCost.statusList +
+    Math.ceil(bytes / 1024) * storageCost.encodedListKibibyte;
+  const {meter: {disabled}, hasAvailable} = await meters.hasAvailable({
+    id: meterId, serviceType, resources: {storage}
+  });
+  if(disabled) {
+    throw new BedrockError(
+      `Meter "${meterId}" is disabled; status lists cannot be created.`, {
+        name: 'NotAllowedError',
+        details: {
+          httpStatusCode: 403,
+          public: true
+        }
+      });
+  }
+  if(!hasAvailable) {
+    throw new BedrockError(
+      'Insufficient storage available to create a status list; ' +
+      `${storage} storage unit(s) are required.`, {
+        name: 'QuotaExceededError',
+        details: {
+          required: storage,
+          httpStatusCode: 403,
+          public: true
+        }
+      });
+  }
+}
+
+async function _publish({statusListId, credential, envelope, sequence}) {
+  // the update is already committed, so a publishing failure is only logged;
+  // the next update or `publishAll()` will publish the status list again
+  try {
+    await publisher.publish({statusListId, credential, envelope, sequence});
+  } catch(error) {
+    logger.error(
+      `Could not publish status list credential "${statusListId}".`, {error});
+  }
+}
+
+function _cacheResponse({statusListId, sequence, mediaType, response}) {
+  // responses for older sequences are never reused, so replace them; a new
+  // entry is set to recalculate its size
+  const cached = RESPONSE_CACHE.get(statusListId);
+  if(cached?.sequence > sequence) {
+    return;
+  }
+  const responses = new Map(cached?.sequence === sequence ?
+    cached.responses : []);
+  responses.set(mediaType, response);
+  RESPONSE_CACHE.set(statusListId, {sequence, responses});
+}
+
+function _getResponsesSize({responses}) {
+  // total size of every variant (e.g., compressed) of every response body
+  let size = 0;
+  for(const response of responses.values()) {
+    for(const {body} of Object.values(response)) {
+      size += Buffer.byteLength(body);
+    }
+  }
+  return Math.max(size, 1);
+}
+
+async function _importEncodedList({credential, encodedList}) {
+  // the imported list must have the same length as the new (empty) one and
+  // be decodable; its length is checked first, w/o decoding it into memory
+  const expected = await getListLength({credential});
+  const imported = {
+    ...credential,
+    credentialSubject: {...credential.credentialSubject, encodedList}
+  };
+  let length;
+  try {
+    length = await getListLength({credential: imported});
+    if(length === expected) {
+      await decodeList({credential: imported});
+    }
+  } catch(cause) {
+    throw new BedrockError(
+      `"encodedList" could not be decoded: ${cause.message}`, {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        },
+        cause
+      });
+  }
+  if(length !== expected) {
+    throw new BedrockError(
+      `"encodedList" length (${length}) does not match the expected ` +
+      `length (${expected}).`, {
+        name: 'DataError',
+        details: {
+          actual: length,
+          expected,
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+  credential.credentialSubject.encodedList = encodedList;
+}
+
 async function _getUncachedRecord({statusListId}) {
   const collection = database.collections[COLLECTION_NAME];
   const record = await collection.findOne(
     {statusListId},
     {projection: {
-      _id: 0, statusListId: 1, indexAllocator: 1, credential: 1, meta: 1
+      _id: 0, statusListId: 1, indexAllocator: 1, capacity: 1,
+      allocation: 1, credential: 1, meta: 1
     }});
   if(!record) {
     throw new BedrockError(
@@ -1,26 +1,337 @@
 /*!
  * Copyright (c) 2020-2024 Digital Bazaar, Inc. All rights reserved.
  */
+import * as audit from './audit.js';
 import * as bedrock from '@bedrock/core';
+import * as indexes from './indexes.js';
 import * as mappings from './mappings.js';
+import * as pending from './pending.js';
 import * as slcs from './slcs.js';
+import * as webhooks from './webhooks.js';
+import {applyDecoys, releaseDecoys} from './decoys.js';
+import {decodeList, getStatusPurpose} from './lists.js';
 import assert from 'assert-plus';
-import {decodeList} from '@digitalbazaar/vc-bitstring-status-list';
-import {decodeList as decodeList2021} from '@digitalbazaar/vc-status-list';
+import {generateLocalId} from './helpers.js';
 import {issue} from './issue.js';
 import {LIST_TYPE_TO_ENTRY_TYPE} from './constants.js';
+import {logger} from './logger.js';
+import {LruCache} from '@digitalbazaar/lru-memoize';
 
 const {util: {BedrockError}} = bedrock;
 
+// decoded status lists, by sequence and status list ID
+let LIST_CACHE;
+
+bedrock.events.on('bedrock.init', () => {
+  LIST_CACHE = new LruCache(bedrock.config['vc-status'].caches.list);
+});
+
+/**
+ * Sets the status of a credential. The change is applied immediately unless
+ * `effectiveAt` is in the future, in which case it is validated now and
+ * applied once it comes due. If `until` is given, the credential's previous
+ * status is restored at that time unless the status has been changed again
+ * in the meantime; nothing is restored if the status was already set to the
+ * given value.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ * @param {string} options.credentialId - The ID of the credential.
+ * @param {string} [options.indexAllocator] - The index allocator ID; required
+ *   when setting the status of a credential the first time.
+ * @param {object} options.credentialStatus - The credential status entry.
+ * @param {boolean|number} options.status - The status value to set.
+ * @param {string} [options.effectiveAt] - The date-time at which to apply
+ *   the change.
+ * @param {string} [options.until] - The date-time at which to revert the
+ *   change.
+ * @param {boolean|number} [options.expectedStatus] - If given, the status is
+ *   only set if the credential's current status equals this value.
+ * @param {object} [options.invoker] - The party that requested the update,
+ *   for the audit history.
+ *
+ * @returns {Promise<object>} Settles once the operation completes.
+ */
 export async function setStatus({
-  config, credentialId, indexAllocator, credentialStatus, status
+  config, credentialId, indexAllocator, credentialStatus, status,
+  effectiveAt, until, expectedStatus, invoker
 } = {}) {
   assert.object(config, 'config');
   assert.string(credentialId, 'credentialId');
   assert.optionalString(indexAllocator, 'indexAllocator');
   assert.object(credentialStatus, 'credentialStatus');
-  assert.bool(status, 'status');
+  if(typeof status !== 'number') {
+    assert.bool(status, 'status');
+  }
+  assert.optionalString(effectiveAt, 'effectiveAt');
+  assert.optionalString(until, 'until');
+  if(expectedStatus !== undefined && typeof expectedStatus !== 'number') {
+    assert.bool(expectedStatus, 'expectedStatus');
+  }
+  assert.optionalObject(invoker, 'invoker');
+
+  const schedule = _parseSchedule({effectiveAt, until});
+  const {statusListId, record, update} = await _resolveStatusEntry({
+    config, credentialId, indexAllocator, credentialStatus, status
+  });
+  if(await _deferUpdate({config, update, schedule, invoker})) {
+    return;
+  }
+  if(expectedStatus !== undefined) {
+    update.expectedStatus = expectedStatus;
+  }
+  await _updateStatusList({
+    config, statusListId, record, updates: [update], invoker
+  });
+}
+
+/**
+ * Sets the status of many credentials at once. Each affected status list
+ * credential is reissued only once, regardless of how many of its entries
+ * change.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ * @param {Array<object>} options.entries - The status updates to apply, each
+ *   with `credentialId`, `credentialStatus`, and, optionally,
+ *   `indexAllocator`, `status` (defaults to `true`), `effectiveAt`, and
+ *   `until`, as with `setStatus()`.
+ * @param {object} [options.invoker] - The party that requested the updates,
+ *   for the audit history.
+ *
+ * @returns {Promise<Array<object>>} Resolves to a result for each entry, in
+ *   the same order as `entries`, with `success` and, on failure, `error`.
+ */
+export async function setStatuses({config, entries, invoker} = {}) {
+  assert.object(config, 'config');
+  assert.arrayOfObject(entries, 'entries');
+  assert.optionalObject(invoker, 'invoker');
+
+  const results = new Array(entries.length);
+
+  // resolve every entry to a status list, grouping by list and reading each
+  // list only once
+  const groups = new Map();
+  const records = new Map();
+  for(const [i, entry] of entries.entries()) {
+    const {
+      credentialId, indexAllocator, credentialStatus, status = true,
+      effectiveAt, until
+    } = entry;
+    const {statusPurpose} = _normalizeStatusEntry({credentialStatus});
+    results[i] = {credentialId, statusPurpose};
+    try {
+      const schedule = _parseSchedule({effectiveAt, until});
+      const {statusListId, record, update} = await _resolveStatusEntry({
+        config, credentialId, indexAllocator, credentialStatus, status,
+        records
+      });
+      if(await _deferUpdate({config, update, schedule, invoker})) {
+        results[i].success = true;
+        continue;
+      }
+      let group = groups.get(statusListId);
+      if(!group) {
+        group = {record, updates: [], resultIndexes: []};
+        groups.set(statusListId, group);
+      }
+      group.updates.push(update);
+      group.resultIndexes.push(i);
+    } catch(error) {
+      results[i].success = false;
+      results[i].error = _toPublicError(error);
+    }
+  }
+
+  // apply all updates for each status list at once
+  for(const [statusListId, group] of groups) {
+    const {record, updates, resultIndexes} = group;
+    let error;
+    try {
+      await _updateStatusList({
+        config, statusListId, record, updates, invoker
+      });
+    } catch(e) {
+      error = _toPublicError(e);
+    }
+    for(const i of resultIndexes) {
+      results[i].success = !error;
+      if(error) {
+        results[i].error = error;
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Allocates an unused, randomly chosen index for a credential on a status
+ * list with the given status purpose whose indexes are allocated by the
+ * status service (see `slcs.findOpen()`) and that has unallocated indexes,
+ * and maps the credential to it. If the credential has already been mapped
+ * for the status purpose, its existing status entry is returned instead. When
+ * every status list is full, namespaced status lists are rolled over to a new
+ * one (see `slcs.rollover()`).
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ * @param {string} options.credentialId - The ID of the credential.
+ * @param {string} options.statusPurpose - The status purpose.
+ *
+ * @returns {Promise<object>} Resolves to `{credentialStatus}` with a status
+ *   entry that can be embedded in the credential and, for a Token Status
+ *   List, `status` with the equivalent `status` claim for a Referenced Token.
+ */
+export async function allocateStatus({
+  config, credentialId, statusPurpose
+} = {}) {
+  assert.object(config, 'config');
+  assert.string(credentialId, 'credentialId');
+  assert.string(statusPurpose, 'statusPurpose');
+
+  const {id: configId} = config;
+  const mapping = await _getMapping({configId, credentialId, statusPurpose});
+  if(mapping) {
+    return _createStatusEntry({configId, mapping});
+  }
+
+  while(true) {
+    const open = await slcs.findOpen({config, statusPurpose});
+    if(!open) {
+      // roll over to a new namespaced status list if possible
+      if(await slcs.rollover({config, statusPurpose})) {
+        continue;
+      }
+      throw new BedrockError(
+        `No status list with unallocated indexes was found for status ` +
+        `purpose "${statusPurpose}".`,
+        'NotFoundError', {
+          statusPurpose,
+          httpStatusCode: 404,
+          public: true
+        });
+    }
+    // decoy indexes are reserved too, so they are never allocated
+    const {statusListId, statusListCredential, capacity} = open;
+    const index = await indexes.reserveRandom({statusListId, capacity});
+    if(index === null) {
+      // allocation count was stale; try another status list
+      await slcs.markFull({statusListId});
+      continue;
+    }
+    await slcs.addAllocated({statusListId});
+
+    const statusListIndex = `${index}`;
+    try {
+      await mappings.set({
+        configId,
+        credentialId, statusPurpose, statusListCredential, statusListIndex
+      });
+    } catch(e) {
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+      // credential was concurrently mapped; release index and use mapping
+      await indexes.release({statusListId, index});
+      await slcs.addAllocated({statusListId, count: -1});
+      const mapping = await _getMapping({
+        configId, credentialId, statusPurpose
+      });
+      return _createStatusEntry({configId, mapping});
+    }
+    return _createStatusEntry({
+      configId,
+      mapping: {statusPurpose, statusListCredential, statusListIndex}
+    });
+  }
+}
+
+/**
+ * Verifies the status of a credential against the status lists of a status
+ * instance, i.e., reads the current status value of each of the given status
+ * entries, e.g., those of a presented credential, from the local status list
+ * it references. Each status entry's type and status purpose must match its
+ * status list. Status lists are read as currently stored, without refreshing
+ * them, and are decoded only once per sequence.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ * @param {Array<object>} options.credentialStatus - The status entries.
+ *
+ * @returns {Promise<Array<object>>} Resolves to a result for each status
+ *   entry, in the same order as `credentialStatus`, with `verified` and, if
+ *   verified, `status` along with the `sequence`, `validFrom`, and
+ *   `validUntil` of the status list credential it was read from and, if not,
+ *   `error`.
+ */
+export async function verifyStatus({config, credentialStatus} = {}) {
+  assert.object(config, 'config');
+  assert.arrayOfObject(credentialStatus, 'credentialStatus');
 
+  // read and decode each status list only once
+  const lists = new Map();
+  const results = [];
+  for(const entry of credentialStatus) {
+    const normalized = _normalizeStatusEntry({credentialStatus: entry});
+    const {statusPurpose, statusListCredential, statusListIndex} = normalized;
+    const result = {statusPurpose, statusListCredential, statusListIndex};
+    results.push(result);
+    try {
+      if(statusListCredential === undefined || statusListIndex === undefined) {
+        throw new BedrockError(
+          '"credentialStatus.statusListCredential" and ' +
+          '"credentialStatus.statusListIndex" must be provided.',
+          'DataError', {
+            httpStatusCode: 400,
+            public: true
+          });
+      }
+      const statusListId = _computeStatusListId({
+        configId: config.id, statusListCredential
+      });
+      let read = lists.get(statusListId);
+      if(!read) {
+        read = _readStatusList({statusListId});
+        lists.set(statusListId, read);
+      }
+      const {
+        slc, migratedFrom, list, sequence, validFrom, validUntil
+      } = await read;
+      // the local status list ID is derived from the path only, so the entry
+      // must reference the local status list credential itself, not another
+      // one w/ a matching path on another host
+      if(statusListCredential !== slc.id) {
+        throw new BedrockError(
+          `"credentialStatus.statusListCredential" (${statusListCredential}) ` +
+          `does not match the expected value (${slc.id}).`,
+          'DataError', {
+            actual: statusListCredential,
+            expected: slc.id,
+            httpStatusCode: 400,
+            public: true
+          });
+      }
+      _assertStatusListMatch({slc, migratedFrom, credentialStatus: normalized});
+      const index = _parseIndex({statusListIndex, length: list.length});
+      Object.assign(result, {
+        verified: true,
+        status: list.getStatus(index),
+        sequence, validFrom, validUntil
+      });
+    } catch(error) {
+      result.verified = false;
+      result.error = _toPublicError(error);
+    }
+  }
+  return results;
+}
+
+async function _resolveStatusEntry({
+  config, credentialId, indexAllocator, credentialStatus, status,
+  records = new Map()
+}) {
+  credentialStatus = _normalizeStatusEntry({credentialStatus});
   const {statusPurpose} = credentialStatus;
   let {statusListCredential, statusListIndex} = credentialStatus;
   const {id: configId} = config;
@@ -87,8 +398,16 @@ export async function setStatus({
   const statusListId = _computeStatusListId({configId, statusListCredential});
 
   // ensure status list VC exists and matches expectation
-  let record = await slcs.get({statusListId, useCache: false});
-  _assertStatusListMatch({slc: record.credential, credentialStatus});
+  let record = records.get(statusListId);
+  if(!record) {
+    record = await slcs.get({statusListId, useCache: false});
+    records.set(statusListId, record);
+  }
+  _assertStatusListMatch({
+    slc: record.credential, migratedFrom: record.meta.migratedFrom,
+    credentialStatus
+  });
+  _assertStatusValue({slc: record.credential, status});
 
   // ensure `indexAllocator` value matches if given
   if(indexAllocator !== undefined &&
@@ -104,7 +423,10 @@ export async function setStatus({
       });
   }
 
-  // create new mapping...
+  // create new mapping; it is removed again if the update that requires it
+  // cannot be applied (see `_undoNewMappings()`)
+  let newMapping = false;
+  let reserved = false;
   if(!mapping) {
     // `indexAllocator` is required when creating a new mapping
     if(indexAllocator === undefined) {
@@ -116,35 +438,105 @@ export async function setStatus({
           public: true
         });
     }
-    // add new mapping
-    await mappings.set({
-      configId,
-      credentialId, statusPurpose, statusListCredential, statusListIndex
-    });
+    // indexes on status lists allocated by the status service must be
+    // obtained via `allocateStatus()`
+    if(record.allocation === 'server') {
+      throw new BedrockError(
+        `Status list "${statusListCredential}" indexes are allocated by the ` +
+        'status service; use "/credentials/status/allocate" to map the ' +
+        `credential "${credentialId}" to an index.`,
+        'DataError', {
+          statusListCredential,
+          httpStatusCode: 400,
+          public: true
+        });
+    }
+    // ensure the index is not already in use by another credential, first
+    // reserving it (if the status list tracks allocation) so that no other
+    // credential can be concurrently mapped to it
+    const index = parseInt(statusListIndex, 10);
+    if(record.capacity !== undefined && index >= 0 &&
+      index < record.capacity) {
+      if(!await indexes.reserve({statusListId, index})) {
+        _throwIndexInUse({statusListCredential, statusListIndex});
+      }
+      reserved = true;
+      await slcs.addAllocated({statusListId});
+    }
+    try {
+      const mapped = await mappings.findMappedIndexes({
+        configId, statusListCredential, statusListIndexes: [statusListIndex]
+      });
+      if(mapped.has(statusListIndex)) {
+        _throwIndexInUse({statusListCredential, statusListIndex});
+      }
+      // add new mapping
+      await mappings.set({
+        configId,
+        credentialId, statusPurpose, statusListCredential, statusListIndex
+      });
+    } catch(e) {
+      if(reserved && await indexes.release({statusListId, index})) {
+        await slcs.addAllocated({statusListId, count: -1});
+      }
+      throw e;
+    }
+    newMapping = true;
   }
 
-  // express get bitstring index
-  const bitstringIndex = parseInt(statusListIndex, 10);
+  // express get status list index
+  const index = parseInt(statusListIndex, 10);
 
-  // update SLC
+  const update = {
+    credentialId, statusPurpose, statusListCredential, statusListIndex,
+    index, status, newMapping, reserved,
+    // resolved status entry, for scheduling later changes
+    credentialStatus: {
+      ...credentialStatus, statusListCredential, statusListIndex
+    }
+  };
+  return {statusListId, record, update};
+}
+
+async function _updateStatusList({
+  config, statusListId, record, updates, invoker
+}) {
+  let committed = false;
   while(true) {
+    let decoys = [];
     try {
-      // check if `credential` status is already set, if so, done
+      // record any changes committed by previous updates that could not be
+      // recorded at the time
+      await _recordEvents({
+        config, statusListId, events: record.meta.pendingEvents ?? []
+      });
+
+      // only apply updates for statuses that are not already set, if none,
+      // then done
       let {credential: slc} = record;
-      const {credentialSubject: {encodedList}} = slc;
-      let list;
-      if(slc.type.includes('BitstringStatusListCredential')) {
-        list = await decodeList({encodedList});
-      } else {
-        // type must be `StatusListCredential`
-        list = await decodeList2021({encodedList});
-      }
-      if(list.getStatus(bitstringIndex) === status) {
+      const list = await decodeList({credential: slc});
+      const changes = [];
+      for(const update of updates) {
+        const {index, status, expectedStatus} = update;
+        const previousStatus = list.getStatus(index);
+        if(expectedStatus !== undefined && previousStatus !== expectedStatus) {
+          // status was changed by another update in the meantime
+          continue;
+        }
+        if(previousStatus !== status) {
+          list.setStatus(index, status);
+          changes.push({...update, previousStatus});
+        }
+      }
+      if(changes.length === 0) {
         return;
       }
 
-      // use index to set status
-      list.setStatus(bitstringIndex, status);
+      // pad changes w/ decoys
+      decoys = await applyDecoys({
+        config, statusListId, list,
+        allocation: record.allocation, capacity: record.capacity
+      });
       slc.credentialSubject.encodedList = await list.encode();
 
       // reissue SLC
@@ -153,14 +545,42 @@ export async function setStatus({
         config, credential: slc
       }));
 
-      // update SLC
+      // update SLC, storing the changes for the audit history, and the
+      // reverts of time-boxed changes, in the same write so that they are
+      // never lost
+      const sequence = record.meta.sequence + 1;
+      const date = new Date().toISOString();
+      const events = await Promise.all(changes.map(async ({
+        credentialId, credentialStatus, statusPurpose, statusListCredential,
+        statusListIndex, previousStatus, status, until
+      }) => ({
+        id: await generateLocalId(),
+        configId: config.id,
+        credentialId, statusPurpose, statusListId, statusListCredential,
+        statusListIndex, previousStatus, status, sequence, date,
+        ...(invoker ? {invoker} : {}),
+        ...(until === undefined ? {} : {
+          revert: {credentialStatus, effectiveAt: until}
+        })
+      })));
       await slcs.set({
         statusListId, indexAllocator: record.indexAllocator,
-        credential: slc, envelope, sequence: record.meta.sequence + 1
+        credential: slc, envelope, sequence, events
       });
+      committed = true;
+
+      // record changes in audit history, notify webhooks of them, and
+      // schedule reverts of time-boxed changes
+      await _recordEvents({config, statusListId, events});
       return;
     } catch(e) {
+      if(!committed) {
+        await releaseDecoys({statusListId, decoys});
+      }
       if(e.name !== 'InvalidStateError') {
+        if(!committed) {
+          await _undoNewMappings({config, statusListId, updates});
+        }
         throw e;
       }
       // ignore conflict, read and try again
@@ -169,21 +589,357 @@ export async function setStatus({
   }
 }
 
-function _assertStatusListMatch({slc, credentialStatus} = {}) {
-  // return match against `meta.credentialStatus` where the status entry
-  // type and status purpose match
-  const expectedType = LIST_TYPE_TO_ENTRY_TYPE.get(slc.type);
-  if(expectedType === credentialStatus.type) {
+export async function getStatus({config, credentialId, statusPurpose} = {}) {
+  assert.object(config, 'config');
+  assert.string(credentialId, 'credentialId');
+  assert.string(statusPurpose, 'statusPurpose');
+
+  // get existing mapping; not found error will be thrown if status was
+  // never set for the credential
+  const {id: configId} = config;
+  const {mapping} = await mappings.get({configId, credentialId, statusPurpose});
+  const {statusListCredential, statusListIndex} = mapping;
+
+  // decode current status from stored SLC
+  const statusListId = _computeStatusListId({configId, statusListCredential});
+  const {credential: slc} = await slcs.get({statusListId, useCache: false});
+  const list = await decodeList({credential: slc});
+  const status = list.getStatus(parseInt(statusListIndex, 10));
+
+  return {
+    credentialId, statusPurpose, statusListCredential, statusListIndex, status
+  };
+}
+
+function _assertStatusListMatch({slc, migratedFrom, credentialStatus} = {}) {
+  // the status entry type, status purpose, and status size must match those
+  // of the status list
+  const {credentialSubject: {type, statusSize = 1}} = slc;
+  const expected = {
+    type: [LIST_TYPE_TO_ENTRY_TYPE.get(type)],
+    statusPurpose: [getStatusPurpose({credential: slc})],
+    // `statusSize` may be omitted from status entries
+    statusSize: [statusSize, undefined]
+  };
+  if(type === 'BitstringStatusList' && migratedFrom === 'StatusList2021') {
+    // credentials issued before a `StatusList2021` status list was migrated
+    // (see `slcs.migrate()`) keep their status entry type
+    expected.type.push('StatusList2021Entry');
+  }
+  for(const [property, values] of Object.entries(expected)) {
+    const actual = credentialStatus[property];
+    if(values.includes(actual)) {
+      continue;
+    }
+    throw new BedrockError(
+      `"credentialStatus.${property}" (${actual}) ` +
+      `does not match the expected value (${values[0]}).`,
+      'DataError', {
+        actual,
+        expected: values[0],
+        httpStatusCode: 400,
+        public: true
+      });
+  }
+}
+
+function _assertStatusValue({slc, status} = {}) {
+  // multi-bit lists take integer status values, single-bit lists booleans
+  const {credentialSubject: {statusSize = 1}} = slc;
+  const isBoolean = typeof status === 'boolean';
+  if(isBoolean !== (statusSize === 1)) {
+    const expected = statusSize === 1 ? 'a boolean' : 'an integer';
+    throw new BedrockError(
+      `"status" must be ${expected} for a status list with a "statusSize" ` +
+      `of ${statusSize}.`,
+      'DataError', {
+        httpStatusCode: 400,
+        public: true
+      });
+  }
+  const max = 2 ** statusSize - 1;
+  if(!isBoolean && !(Number.isInteger(status) && status >= 0 &&
+    status <= max)) {
+    throw new BedrockError(
+      `"status" (${status}) must be an integer from 0 to ${max}.`,
+      'DataError', {
+        httpStatusCode: 400,
+        public: true
+      });
+  }
+}
+
+async function _deferUpdate({config, update, schedule, invoker}) {
+  const {effectiveAt, until} = schedule;
+  if(effectiveAt === undefined || Date.parse(effectiveAt) <= Date.now()) {
+    // apply update now, reverting it later if `until` is set
+    if(until !== undefined) {
+      update.until = until;
+    }
+    return false;
+  }
+  // apply update later
+  const {credentialId, credentialStatus, status} = update;
+  try {
+    await pending.add({
+      configId: config.id, credentialId, credentialStatus, status,
+      effectiveAt, until, invoker
+    });
+  } catch(e) {
+    const statusListId = _computeStatusListId({
+      configId: config.id,
+      statusListCredential: credentialStatus.statusListCredential
+    });
+    await _undoNewMappings({config, statusListId, updates: [update]});
+    throw e;
+  }
+  return true;
+}
+
+async function _recordEvents({config, statusListId, events}) {
+  // status change events are stored with the status list update that made
+  // them and only removed once recorded, queued for webhooks, and any revert
+  // scheduled; if any of these fails here, the change has still been made and
+  // is recorded by the next update of the status list (including a retry of
+  // the same update)
+  if(events.length === 0) {
+    return;
+  }
+  try {
+    // reverts are not part of the audit history
+    await audit.record({
+      events: events.map(event => {
+        event = {...event};
+        delete event.revert;
+        return event;
+      })
+    });
+    await webhooks.notify({
+      config,
+      events: events.map(({
+        id, credentialId, statusPurpose, statusListCredential, status,
+        sequence, date
+      }) => ({
+        id, credentialId, statusPurpose, status, statusListCredential,
+        sequence, date
+      }))
+    });
+    await _scheduleReverts({config, events});
+    await slcs.removePendingEvents({
+      statusListId, ids: events.map(({id}) => id)
+    });
+  } catch(error) {
+    logger.error(
+      `Could not record status changes for status list "${statusListId}".`,
+      {error});
+  }
+}
+
+async function _scheduleReverts({config, events}) {
+  // schedule the revert of each time-boxed change; each is skipped if the
+  // status is changed again before it is applied; a revert uses the ID of its
+  // event so that it is only scheduled once, even if retried
+  for(const {
+    id, credentialId, previousStatus, status, invoker, revert
+  } of events) {
+    if(revert) {
+      await pending.add({
+        id, configId: config.id, credentialId,
+        credentialStatus: revert.credentialStatus, status: previousStatus,
+        effectiveAt: revert.effectiveAt, expectedStatus: status, invoker
+      });
+    }
+  }
+}
+
+async function _undoNewMappings({config, statusListId, updates}) {
+  // remove the mappings (and index reservations) that were created for
+  // updates that could not be applied so that no stale state remains
+  for(const update of updates) {
+    const {
+      credentialId, statusPurpose, statusListCredential, statusListIndex,
+      index, newMapping, reserved
+    } = update;
+    if(!newMapping) {
+      continue;
+    }
+    try {
+      await mappings.remove({
+        configId: config.id,
+        credentialId, statusPurpose, statusListCredential, statusListIndex
+      });
+      if(reserved && await indexes.release({statusListId, index})) {
+        await slcs.addAllocated({statusListId, count: -1});
+      }
+    } catch(error) {
+      logger.error(
+        `Could not remove status list mapping for credential ` +
+        `"${credentialId}".`, {error});
+    }
+  }
+}
+
+function _throwIndexInUse({statusListCredential, statusListIndex}) {
+  throw new BedrockError(
+    `Status list index "${statusListIndex}" of status list ` +
+    `"${statusListCredential}" is already in use by another credential.`,
+    'DuplicateError', {
+      statusListCredential,
+      statusListIndex,
+      httpStatusCode: 409,
+      public: true
+    });
+}
+
+function _parseSchedule({effectiveAt, until} = {}) {
+  // normalize date-times, ensuring `until` follows `effectiveAt` and now
+  const schedule = {};
+  if(effectiveAt !== undefined) {
+    schedule.effectiveAt = _parseDateTime({
+      name: 'effectiveAt', value: effectiveAt
+    });
+  }
+  if(until !== undefined) {
+    schedule.until = _parseDateTime({name: 'until', value: until});
+    const start = schedule.effectiveAt === undefined ?
+      Date.now() : Math.max(Date.now(), Date.parse(schedule.effectiveAt));
+    if(Date.parse(schedule.until) <= start) {
+      throw new BedrockError(
+        `"until" (${until}) must be later than "effectiveAt" and the ` +
+        'current time.',
+        'DataError', {
+          httpStatusCode: 400,
+          public: true
+        });
+    }
+  }
+  return schedule;
+}
+
+function _parseDateTime({name, value}) {
+  const time = Date.parse(value);
+  if(Number.isNaN(time)) {
     throw new BedrockError(
-      `"credentialStatus.type" (${credentialStatus.type}) ` +
-      `does not match the expected value (${expectedType}).`,
+      `"${name}" (${value}) must be a valid date-time.`,
       'DataError', {
-        actual: credentialStatus.type,
-        expected: expectedType,
         httpStatusCode: 400,
         public: true
       });
   }
+  return new Date(time).toISOString();
+}
+
+async function _createStatusEntry({configId, mapping}) {
+  const {statusPurpose, statusListCredential, statusListIndex} = mapping;
+  const statusListId = _computeStatusListId({configId, statusListCredential});
+  const {credential: slc} = await slcs.get({statusListId});
+  const {credentialSubject: {type, statusSize = 1, statusMessage}} = slc;
+  if(type === 'RevocationList2020') {
+    // legacy entries have no `statusPurpose` and use different names
+    const credentialStatus = {
+      id: `${statusListCredential}#${statusListIndex}`,
+      type: LIST_TYPE_TO_ENTRY_TYPE.get(type),
+      revocationListCredential: statusListCredential,
+      revocationListIndex: statusListIndex
+    };
+    return {credentialStatus};
+  }
+  const credentialStatus = {
+    id: `${statusListCredential}#${statusListIndex}`,
+    type: LIST_TYPE_TO_ENTRY_TYPE.get(type),
+    statusPurpose, statusListCredential, statusListIndex,
+    // a multi-bit entry expresses the status messages of its list
+    ...(statusSize === 1 ? {} : {statusSize}),
+    ...(statusMessage === undefined ? {} : {statusMessage})
+  };
+  if(type !== 'TokenStatusList') {
+    return {credentialStatus};
+  }
+  // also include the `status` claim that references a Token Status List from
+  // a Referenced Token, e.g., an SD-JWT VC
+  const status = {
+    status_list: {
+      idx: parseInt(statusListIndex, 10),
+      uri: statusListCredential
+    }
+  };
+  return {credentialStatus, status};
+}
+
+async function _getMapping({configId, credentialId, statusPurpose}) {
+  try {
+    const {mapping} = await mappings.get({
+      configId, credentialId, statusPurpose
+    });
+    return mapping;
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+    return null;
+  }
+}
+
+function _toPublicError(error) {
+  logger.error(error.message, {error});
+  if(error instanceof BedrockError) {
+    // non-public errors are replaced with a generic error
+    return error.toObject({public: true});
+  }
+  return {
+    name: 'OperationError',
+    type: 'OperationError',
+    message: 'An unspecified error occurred.'
+  };
+}
+
+async function _readStatusList({statusListId}) {
+  // verification only reads the stored status list; refreshing it is left to
+  // reads of the status list credential itself and the background refresh
+  const {
+    credential: slc, meta: {sequence, migratedFrom}
+  } = await slcs.get({statusListId});
+  const list = await LIST_CACHE.memoize({
+    key: `${sequence}:${statusListId}`,
+    fn: () => decodeList({credential: slc})
+  });
+  return {
+    slc, migratedFrom, list, sequence,
+    validFrom: slc.validFrom ?? slc.issuanceDate,
+    validUntil: slc.validUntil ?? slc.expirationDate
+  };
+}
+
+function _parseIndex({statusListIndex, length}) {
+  const index = /^(0|[1-9][0-9]*)$/.test(statusListIndex) ?
+    parseInt(statusListIndex, 10) : NaN;
+  if(!(index < length)) {
+    throw new BedrockError(
+      `"credentialStatus.statusListIndex" (${statusListIndex}) must be an ` +
+      `integer from 0 to ${length - 1}.`,
+      'DataError', {
+        httpStatusCode: 400,
+        public: true
+      });
+  }
+  return index;
+}
+
+function _normalizeStatusEntry({credentialStatus}) {
+  // legacy `RevocationList2020Status` entries use different names for the
+  // same properties and always have a `revocation` status purpose
+  if(credentialStatus.type !== 'RevocationList2020Status') {
+    return credentialStatus;
+  }
+  const {
+    revocationListCredential, revocationListIndex, ...rest
+  } = credentialStatus;
+  return {
+    statusPurpose: 'revocation',
+    statusListCredential: revocationListCredential,
+    statusListIndex: revocationListIndex,
+    ...rest
+  };
 }
 
 function _computeStatusListId({configId, statusListCredential}) {
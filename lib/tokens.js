@@ -0,0 +1,165 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import * as bedrock from '@bedrock/core';
+import {encode as encodeCbor} from 'cborg';
+import {getSigner} from './signing.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const CREDENTIALS_CONTEXT_V2_URL = 'https://www.w3.org/ns/credentials/v2';
+const TEXT_ENCODER = new TextEncoder();
+
+// token format => media type of IETF Token Status List tokens
+export const TOKEN_MEDIA_TYPES = new Map([
+  ['jwt', 'application/statuslist+jwt'],
+  ['cwt', 'application/statuslist+cwt']
+]);
+
+// key algorithm => JOSE and COSE signature algorithms
+const SIGNATURE_ALGORITHMS = new Map([
+  ['Ed25519', {jose: 'EdDSA', cose: -8}]
+]);
+
+// COSE_Sign1 CBOR tag (18) encoded as a single byte (major type 6)
+const COSE_SIGN1_TAG = 0xd2;
+
+// CWT claim and COSE header labels
+const CWT_ISS = 1;
+const CWT_SUB = 2;
+const CWT_EXP = 4;
+const CWT_IAT = 6;
+const CWT_STATUS_LIST = 65533;
+const COSE_ALG = 1;
+const COSE_KID = 4;
+const COSE_TYP = 16;
+
+/**
+ * Creates the (unsigned) status list credential that describes an IETF Token
+ * Status List. It is stored and updated like any other status list credential
+ * but is only ever served as a signed Status List Token.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the status list credential; the
+ *   `sub` of its tokens.
+ * @param {object} options.list - The status list.
+ * @param {string} options.statusPurpose - The status purpose.
+ * @param {string} [options.format='jwt'] - The format of its tokens, `jwt`
+ *   or `cwt`.
+ *
+ * @returns {Promise<object>} Resolves to the status list credential.
+ */
+export async function createTokenStatusListCredential({
+  id, list, statusPurpose, format = 'jwt'
+} = {}) {
+  return {
+    '@context': [CREDENTIALS_CONTEXT_V2_URL],
+    id,
+    type: ['VerifiableCredential', 'TokenStatusListCredential'],
+    credentialSubject: {
+      id: `${id}#list`,
+      type: 'TokenStatusList',
+      statusPurpose,
+      statusSize: list.bits,
+      format,
+      encodedList: await list.encode()
+    }
+  };
+}
+
+export function isTokenStatusList({credential} = {}) {
+  return credential.credentialSubject?.type === 'TokenStatusList';
+}
+
+/**
+ * Signs a Status List Token for a Token Status List's status list credential
+ * using the status instance's in-process signer, see `issueOptions`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ * @param {object} options.credential - The status list credential.
+ *
+ * @returns {Promise<object>} Resolves to `{verifiableCredential, envelope}`
+ *   where `envelope` holds the token.
+ */
+export async function issueToken({config, credential} = {}) {
+  if(!config.issueOptions) {
+    throw new BedrockError(
+      'Token status lists require a status instance that signs in-process ' +
+      'via "issueOptions".', {
+        name: 'NotSupportedError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+  const signer = await getSigner({config});
+  const algorithms = SIGNATURE_ALGORITHMS.get(signer.algorithm);
+  if(!algorithms) {
+    throw new BedrockError(
+      `Key algorithm "${signer.algorithm}" is not supported for signing ` +
+      'status list tokens.', {
+        name: 'NotSupportedError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+
+  const {
+    id: sub, validFrom, validUntil,
+    credentialSubject: {statusSize: bits, encodedList, format}
+  } = credential;
+  const claims = {
+    iss: config.issueOptions.issuer,
+    sub,
+    iat: Math.floor(Date.parse(validFrom) / 1000),
+    exp: Math.floor(Date.parse(validUntil) / 1000)
+  };
+  const mediaType = TOKEN_MEDIA_TYPES.get(format);
+  const envelope = format === 'cwt' ?
+    await _signCwt({signer, alg: algorithms.cose, claims, bits, encodedList}) :
+    await _signJwt({signer, alg: algorithms.jose, claims, bits, encodedList});
+  return {verifiableCredential: credential, envelope: {...envelope, mediaType}};
+}
+
+async function _signJwt({signer, alg, claims, bits, encodedList}) {
+  const header = {alg, typ: 'statuslist+jwt', kid: signer.id};
+  const payload = {...claims, status_list: {bits, lst: encodedList}};
+  const toSign = `${_encodeJson(header)}.${_encodeJson(payload)}`;
+  const signature = await signer.sign({data: TEXT_ENCODER.encode(toSign)});
+  return {data: `${toSign}.${base64url.encode(signature)}`};
+}
+
+async function _signCwt({signer, alg, claims, bits, encodedList}) {
+  const protectedHeader = encodeCbor(new Map([
+    [COSE_ALG, alg],
+    [COSE_KID, TEXT_ENCODER.encode(signer.id)],
+    [COSE_TYP, 'application/statuslist+cwt']
+  ]));
+  const payload = encodeCbor(new Map([
+    [CWT_ISS, claims.iss],
+    [CWT_SUB, claims.sub],
+    [CWT_EXP, claims.exp],
+    [CWT_IAT, claims.iat],
+    [CWT_STATUS_LIST, new Map([
+      ['bits', bits],
+      ['lst', base64url.decode(encodedList)]
+    ])]
+  ]));
+  // sign COSE `Sig_structure` w/o external AAD
+  const toSign = encodeCbor([
+    'Signature1', protectedHeader, new Uint8Array(), payload
+  ]);
+  const signature = await signer.sign({data: toSign});
+  const sign1 = encodeCbor([protectedHeader, new Map(), payload, signature]);
+  const bytes = Buffer.concat([Buffer.from([COSE_SIGN1_TAG]), sign1]);
+  return {data: bytes.toString('base64'), encoding: 'base64'};
+}
+
+function _encodeJson(value) {
+  return base64url.encode(TEXT_ENCODER.encode(JSON.stringify(value)));
+}
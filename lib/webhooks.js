@@ -0,0 +1,426 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {BlockList, isIP} from 'node:net';
+import assert from 'assert-plus';
+import {createHmac} from 'node:crypto';
+import {lookup as dnsLookup} from 'node:dns';
+import {generateLocalId} from './helpers.js';
+import {httpClient} from '@digitalbazaar/http-client';
+import https from 'node:https';
+import {httpsAgent} from '@bedrock/https-agent';
+import {logger} from './logger.js';
+import {setTimeout as sleep} from 'node:timers/promises';
+
+const {util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'vc-status-webhookDelivery';
+const SECRET_COLLECTION_NAME = 'vc-status-webhookSecret';
+
+// header with the signature over a webhook event delivery
+export const SIGNATURE_HEADER = 'vc-status-signature';
+
+// loopback, private, link-local, and other non-public networks that webhooks
+// may not be on unless `allowPrivateNetworks` is set; IPv4-mapped IPv6
+// addresses are also matched by the IPv4 networks
+const PRIVATE_NETWORKS = new BlockList();
+for(const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for(const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+// agent that only connects to public network addresses
+let PUBLIC_AGENT;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME, SECRET_COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    // each event is only queued once for each webhook
+    collection: COLLECTION_NAME,
+    fields: {'delivery.event.id': 1, 'delivery.url': 1},
+    options: {unique: true}
+  }, {
+    // for finding deliveries that are due
+    collection: COLLECTION_NAME,
+    fields: {'meta.after': 1},
+    options: {unique: false}
+  }, {
+    collection: SECRET_COLLECTION_NAME,
+    fields: {'webhook.configId': 1, 'webhook.url': 1},
+    options: {unique: true}
+  }]);
+});
+
+/**
+ * Sets the shared secret used to sign event deliveries to a webhook of a
+ * status instance. Secrets are stored separately from the status instance
+ * config so that they are never returned to those that can read it.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.configId - The ID of the status instance config.
+ * @param {string} options.url - The URL of the webhook.
+ * @param {string} options.secret - The shared secret.
+ *
+ * @returns {Promise<object>} Settles once the operation completes.
+ */
+export async function setSecret({configId, url, secret} = {}) {
+  assert.string(configId, 'configId');
+  assert.string(url, 'url');
+  assert.string(secret, 'secret');
+
+  const collection = database.collections[SECRET_COLLECTION_NAME];
+  const now = Date.now();
+  await collection.updateOne({
+    'webhook.configId': configId,
+    'webhook.url': url
+  }, {
+    $set: {'webhook.secret': secret, 'meta.updated': now},
+    $setOnInsert: {
+      'webhook.configId': configId,
+      'webhook.url': url,
+      'meta.created': now
+    }
+  }, {upsert: true});
+}
+
+/**
+ * Queues status change events for delivery to every webhook configured in
+ * the given status instance config. Events that are given an `id` are only
+ * queued once, so queuing them can be safely retried.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The status instance config.
+ * @param {Array<object>} options.events - The events to deliver, each with
+ *   `credentialId`, `statusPurpose`, `status`, `statusListCredential`,
+ *   `sequence`, and, optionally, `id` and `date` (defaults to now).
+ *
+ * @returns {Promise<object>} Settles once the operation completes.
+ */
+export async function notify({config, events} = {}) {
+  assert.object(config, 'config');
+  assert.arrayOfObject(events, 'events');
+
+  const {webhooks = []} = config;
+  if(webhooks.length === 0 || events.length === 0) {
+    return;
+  }
+
+  const now = Date.now();
+  const date = new Date(now).toISOString();
+  const deliveries = [];
+  for(const event of events) {
+    const {id = await generateLocalId()} = event;
+    for(const {url} of webhooks) {
+      deliveries.push({
+        delivery: {
+          configId: config.id, url,
+          event: {id, type: 'CredentialStatusChanged', date, ...event}
+        },
+        meta: {created: now, updated: now, attempts: 0, after: now}
+      });
+    }
+  }
+  try {
+    const collection = database.collections[COLLECTION_NAME];
+    await collection.insertMany(deliveries, {ordered: false});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // ignore duplicate error, events were already queued
+  }
+}
+
+/**
+ * Asserts that a webhook URL may be used, i.e., unless
+ * `config['vc-status'].webhooks.allowPrivateNetworks` is set, that its host
+ * is not `localhost` or an IP address on a non-public network. Host names
+ * are also checked, once resolved, whenever an event is delivered.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.url - The webhook URL.
+ */
+export function assertAllowedUrl({url} = {}) {
+  const {webhooks: {allowPrivateNetworks}} = bedrock.config['vc-status'];
+  if(allowPrivateNetworks) {
+    return;
+  }
+  // remove brackets from IPv6 addresses
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  if(hostname === 'localhost' || hostname.endsWith('.localhost') ||
+    _isPrivateAddress(hostname)) {
+    throw new BedrockError(
+      `Webhook "${url}" is not on a public network.`, {
+        name: 'NotAllowedError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+}
+
+/**
+ * Signs the body of a webhook event delivery, producing the value of the
+ * signature header that is sent with it.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.secret - The webhook's shared secret.
+ * @param {string} options.body - The serialized event.
+ * @param {number} options.timestamp - The time of delivery in seconds since
+ *   the epoch.
+ *
+ * @returns {string} The signature header value.
+ */
+export function sign({secret, body, timestamp} = {}) {
+  const hmac = createHmac('sha256', secret);
+  hmac.update(`${timestamp}.${body}`);
+  return `t=${timestamp},v1=${hmac.digest('hex')}`;
+}
+
+/**
+ * Schedules a job that continuously delivers queued webhook events, retrying
+ * failed deliveries with exponential backoff. The job may safely run on
+ * multiple processes at once; each delivery is claimed before it is sent.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.service - The `vc-status` service.
+ */
+export function scheduleDelivery({service} = {}) {
+  const {webhooks: {enabled}} = bedrock.config['vc-status'];
+  if(!enabled) {
+    return;
+  }
+
+  const abortController = new AbortController();
+  const {signal} = abortController;
+  let shutdownPromise;
+
+  bedrock.events.on('bedrock.ready', () => {
+    // start the deliverer which runs continuously
+    shutdownPromise = _start({service, signal});
+  });
+
+  bedrock.events.on('bedrock.exit', async () => {
+    try {
+      // abort delivery job
+      abortController.abort();
+      logger.debug(
+        'Sent abort signal to webhook deliverer; awaiting shutdown...');
+      await shutdownPromise;
+      logger.debug('Shutdown of webhook deliverer was successful.');
+    } catch(error) {
+      logger.error('Error during webhook deliverer shutdown.', {error});
+    }
+  });
+}
+
+async function _start({service, signal}) {
+  const {webhooks: {interval}} = bedrock.config['vc-status'];
+  while(!signal.aborted) {
+    try {
+      // deliver an eligible event
+      if(await _deliverOne({service})) {
+        continue;
+      }
+      // no eligible delivery found (or an error occurred), so wait
+      await sleep(interval, undefined, {signal});
+    } catch(error) {
+      if(error.name === 'AbortError') {
+        break;
+      }
+      logger.error('Error during webhook delivery.', {error});
+    }
+  }
+}
+
+async function _deliverOne({service}) {
+  let record;
+  try {
+    record = await _claimDue();
+    if(record === null) {
+      // no deliveries due
+      return false;
+    }
+    if(record === undefined) {
+      // claimed by another process, look for another
+      return true;
+    }
+
+    // ensure webhook is still in the current config; if the webhook (or the
+    // whole status instance) has been removed, drop the delivery
+    const {delivery: {configId, url, event}} = record;
+    let webhook;
+    try {
+      const {config} = await service.configStorage.get({id: configId});
+      webhook = config.webhooks?.find(w => w.url === url);
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+    }
+    if(!webhook) {
+      await _remove({record});
+      return true;
+    }
+    // a delivery is retried later if the webhook's secret has not been set
+    const secret = await _getSecret({configId, url});
+
+    assertAllowedUrl({url});
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const {webhooks: {timeout}} = bedrock.config['vc-status'];
+    // redirects are never followed: a redirect to an IP address would skip
+    // the check of resolved addresses; a redirect (like any other non-2xx
+    // response) causes an error and the delivery is retried later
+    await httpClient.post(url, {
+      agent: _getAgent(),
+      body,
+      headers: {
+        'content-type': 'application/json',
+        [SIGNATURE_HEADER]: sign({secret, body, timestamp})
+      },
+      redirect: 'manual',
+      timeout
+    });
+    await _remove({record});
+  } catch(error) {
+    logger.error('Error during webhook delivery.', {error});
+    if(record) {
+      await _retryLater({record});
+      // other deliveries may be ready even if this one failed
+      return true;
+    }
+    return false;
+  }
+
+  return true;
+}
+
+async function _claimDue() {
+  // find a delivery that is due and claim it by extending its `after` time,
+  // only succeeding if no other process has done so concurrently
+  const collection = database.collections[COLLECTION_NAME];
+  const now = Date.now();
+  const record = await collection.findOne(
+    {'meta.after': {$lt: now}}, {projection: {delivery: 1, meta: 1}});
+  if(!record) {
+    return null;
+  }
+  const {webhooks: {isolateTimeout}} = bedrock.config['vc-status'];
+  const after = now + isolateTimeout;
+  const result = await collection.updateOne({
+    _id: record._id,
+    'meta.after': record.meta.after
+  }, {
+    $set: {'meta.after': after, 'meta.updated': now}
+  });
+  if(result.modifiedCount === 0) {
+    return undefined;
+  }
+  record.meta.after = after;
+  return record;
+}
+
+function _getAgent() {
+  const {webhooks: {allowPrivateNetworks}} = bedrock.config['vc-status'];
+  if(allowPrivateNetworks) {
+    return httpsAgent;
+  }
+  // resolved addresses are checked as each connection is made so that a host
+  // name cannot be changed to resolve to a private address after a check
+  PUBLIC_AGENT ??= new https.Agent({
+    ...httpsAgent.options, lookup: _lookupPublicAddress
+  });
+  return PUBLIC_AGENT;
+}
+
+function _lookupPublicAddress(hostname, options, callback) {
+  dnsLookup(hostname, {...options, all: true}, (err, addresses) => {
+    if(err) {
+      return callback(err);
+    }
+    addresses = addresses.filter(({address}) => !_isPrivateAddress(address));
+    if(addresses.length === 0) {
+      const error = new Error(
+        `Webhook host "${hostname}" does not resolve to a public address.`);
+      error.code = 'ENOTFOUND';
+      return callback(error);
+    }
+    if(options.all) {
+      return callback(null, addresses);
+    }
+    const [{address, family}] = addresses;
+    callback(null, address, family);
+  });
+}
+
+function _isPrivateAddress(address) {
+  const version = isIP(address);
+  if(version === 0) {
+    // not an IP address
+    return false;
+  }
+  return PRIVATE_NETWORKS.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+async function _getSecret({configId, url}) {
+  const collection = database.collections[SECRET_COLLECTION_NAME];
+  const record = await collection.findOne(
+    {'webhook.configId': configId, 'webhook.url': url},
+    {projection: {_id: 0, 'webhook.secret': 1}});
+  if(!record) {
+    throw new BedrockError(
+      `No secret has been set for webhook "${url}".`, {
+        name: 'NotFoundError',
+        details: {
+          httpStatusCode: 404,
+          public: true
+        }
+      });
+  }
+  return record.webhook.secret;
+}
+
+async function _remove({record}) {
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.deleteOne({_id: record._id});
+}
+
+async function _retryLater({record}) {
+  const {
+    webhooks: {maxAttempts, backoff: {initialDelay, maxDelay}}
+  } = bedrock.config['vc-status'];
+  const attempts = record.meta.attempts + 1;
+  if(attempts >= maxAttempts) {
+    logger.error(
+      `Giving up on webhook delivery to "${record.delivery.url}" after ` +
+      `${attempts} attempts.`, {event: record.delivery.event});
+    return _remove({record});
+  }
+
+  // exponential backoff
+  const now = Date.now();
+  const delay = Math.min(initialDelay * 2 ** (attempts - 1), maxDelay);
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne({_id: record._id}, {
+    $set: {
+      'meta.attempts': attempts,
+      'meta.after': now + delay,
+      'meta.updated': now
+    }
+  });
+}
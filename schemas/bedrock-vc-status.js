@@ -1,7 +1,9 @@
 /*!
  * Copyright (c) 2022-2024 Digital Bazaar, Inc. All rights reserved.
  */
-import {MAX_LIST_SIZE} from '../lib/constants.js';
+import {
+  MAX_LIST_SIZE, MAX_VALIDITY_PERIOD_MS, MIN_VALIDITY_PERIOD_MS
+} from '../lib/constants.js';
 
 // an ID value required to unambiguously identify index allocation state
 const indexAllocator = {
@@ -10,6 +12,83 @@ const indexAllocator = {
   pattern: '^(.+):(.+)$'
 };
 
+// maximum number of results per page, 1-1000
+const limit = {
+  type: 'string',
+  pattern: '^([1-9][0-9]{0,2}|1000)$'
+};
+
+// size of each status entry in bits
+const statusSize = {
+  type: 'integer',
+  minimum: 1,
+  maximum: 8
+};
+
+// status instance config options for status list credentials
+export const statusListOptions = {
+  title: 'Status List Options',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    // how long, in milliseconds, each issued status list credential is valid
+    validityPeriod: {
+      type: 'integer',
+      minimum: MIN_VALIDITY_PERIOD_MS,
+      maximum: MAX_VALIDITY_PERIOD_MS
+    },
+    // number of random decoy changes made to unused indexes whenever a
+    // status list credential is reissued, to obscure real status changes
+    decoyChanges: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 64
+    }
+  }
+};
+
+const webhookUrl = {
+  type: 'string',
+  pattern: '^https://'
+};
+
+// status instance config webhooks that are notified of status changes; each
+// webhook's secret is set separately so that it is not part of the config
+export const webhooks = {
+  title: 'Webhooks',
+  type: 'array',
+  minItems: 1,
+  maxItems: 10,
+  items: {
+    type: 'object',
+    required: ['url'],
+    additionalProperties: false,
+    properties: {
+      url: webhookUrl
+    }
+  }
+};
+
+// status instance config options for signing status list credentials
+// in-process (instead of via a remote issuer instance) using the key
+// referenced by the `assertionMethod` zcap
+export const issueOptions = {
+  title: 'Issue Options',
+  type: 'object',
+  required: ['issuer', 'cryptosuite'],
+  additionalProperties: false,
+  properties: {
+    // the issuer ID; must be the controller of the `assertionMethod` key
+    issuer: {
+      type: 'string'
+    },
+    cryptosuite: {
+      type: 'string',
+      enum: ['eddsa-rdfc-2022', 'Ed25519Signature2020']
+    }
+  }
+};
+
 export const createStatusListBody = {
   title: 'Create Status List',
   type: 'object',
@@ -28,9 +107,30 @@ export const createStatusListBody = {
       enum: [
         'BitstringStatusList',
         // FIXME: consider removing `StatusList2021` support
-        'StatusList2021'
+        'StatusList2021',
+        'TokenStatusList',
+        // legacy, only for lists migrated from older services
+        'RevocationList2020'
       ]
     },
+    // who allocates the indexes of the status list: the issuer of each
+    // credential (`client`, the default) or the status service, via
+    // `/credentials/status/allocate` (`server`)
+    allocation: {
+      type: 'string',
+      enum: ['client', 'server']
+    },
+    // format of the Status List Tokens of a `TokenStatusList`
+    format: {
+      type: 'string',
+      enum: ['jwt', 'cwt']
+    },
+    // existing encoded list to import, e.g., from an older service, in the
+    // encoding used by the status list type
+    encodedList: {
+      type: 'string',
+      minLength: 1
+    },
     // length of the status list in bits
     length: {
       type: 'number',
@@ -39,6 +139,27 @@ export const createStatusListBody = {
     },
     statusPurpose: {
       type: 'string'
+    },
+    statusSize,
+    // messages describing each possible status value
+    statusMessage: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['status', 'message'],
+        additionalProperties: false,
+        properties: {
+          // hexadecimal status value, e.g., `0x0`
+          status: {
+            type: 'string',
+            pattern: '^0x[0-9a-fA-F]+$'
+          },
+          message: {
+            type: 'string'
+          }
+        }
+      }
     }
   }
 };
@@ -55,7 +176,13 @@ export const updateCredentialStatusBody = {
     indexAllocator,
     credentialStatus: {
       type: 'object',
-      required: ['type', 'statusPurpose'],
+      required: ['type'],
+      // legacy `RevocationList2020Status` entries have no `statusPurpose`
+      anyOf: [{
+        required: ['statusPurpose']
+      }, {
+        properties: {type: {const: 'RevocationList2020Status'}}
+      }],
       additionalProperties: false,
       properties: {
         id: {
@@ -72,11 +199,191 @@ export const updateCredentialStatusBody = {
         },
         statusPurpose: {
           type: 'string'
+        },
+        statusSize,
+        // legacy names of `statusListCredential` and `statusListIndex` used
+        // in `RevocationList2020Status` entries
+        revocationListCredential: {
+          type: 'string'
+        },
+        revocationListIndex: {
+          type: 'string'
         }
       }
     },
     status: {
-      type: 'boolean'
+      // integer status values are used with multi-bit status lists
+      anyOf: [{type: 'boolean'}, {type: 'integer', minimum: 0}]
+    },
+    // date-time at which to apply the status change
+    effectiveAt: {
+      type: 'string',
+      format: 'date-time'
+    },
+    // date-time at which to revert the status change
+    until: {
+      type: 'string',
+      format: 'date-time'
+    }
+  }
+};
+
+export const updateCredentialStatusBatchBody = {
+  title: 'Update Credential Status Batch',
+  type: 'object',
+  required: ['entries'],
+  additionalProperties: false,
+  properties: {
+    entries: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 1000,
+      items: updateCredentialStatusBody
+    }
+  }
+};
+
+export const allocateCredentialStatusBody = {
+  title: 'Allocate Credential Status',
+  type: 'object',
+  required: ['credentialId', 'statusPurpose'],
+  additionalProperties: false,
+  properties: {
+    credentialId: {
+      type: 'string'
+    },
+    statusPurpose: {
+      type: 'string'
+    }
+  }
+};
+
+export const getCredentialStatusQuery = {
+  title: 'Get Credential Status Query',
+  type: 'object',
+  required: ['credentialId', 'statusPurpose'],
+  additionalProperties: false,
+  properties: {
+    credentialId: {
+      type: 'string'
+    },
+    statusPurpose: {
+      type: 'string'
+    }
+  }
+};
+
+// a status entry to verify, e.g., from a presented credential; other entry
+// properties, such as `statusMessage`, are allowed and ignored
+const statusEntry = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    id: {
+      type: 'string'
+    },
+    type: {
+      type: 'string'
+    },
+    statusPurpose: {
+      type: 'string'
+    },
+    statusListCredential: {
+      type: 'string'
+    },
+    statusListIndex: {
+      type: 'string'
+    },
+    statusSize,
+    // legacy `RevocationList2020Status` entry properties
+    revocationListCredential: {
+      type: 'string'
+    },
+    revocationListIndex: {
+      type: 'string'
+    }
+  }
+};
+
+// one status entry or many
+const credentialStatus = {
+  anyOf: [statusEntry, {
+    type: 'array',
+    minItems: 1,
+    maxItems: 100,
+    items: statusEntry
+  }]
+};
+
+export const verifyCredentialStatusBody = {
+  title: 'Verify Credential Status',
+  type: 'object',
+  // status entries are given directly or via a credential
+  oneOf: [
+    {required: ['credentialStatus']},
+    {required: ['verifiableCredential']}
+  ],
+  additionalProperties: false,
+  properties: {
+    credentialStatus,
+    verifiableCredential: {
+      type: 'object',
+      required: ['credentialStatus'],
+      properties: {
+        credentialStatus
+      }
+    }
+  }
+};
+
+export const setWebhookSecretBody = {
+  title: 'Set Webhook Secret',
+  type: 'object',
+  required: ['url', 'secret'],
+  additionalProperties: false,
+  properties: {
+    url: webhookUrl,
+    // shared secret used to sign event deliveries
+    secret: {
+      type: 'string',
+      minLength: 32
+    }
+  }
+};
+
+export const getStatusListsQuery = {
+  title: 'Get Status Lists Query',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    limit,
+    // status list ID after which to start the page
+    after: {
+      type: 'string'
+    }
+  }
+};
+
+export const getCredentialStatusHistoryQuery = {
+  title: 'Get Credential Status History Query',
+  type: 'object',
+  // history is queried by credential or by status list
+  oneOf: [{required: ['credentialId']}, {required: ['statusListId']}],
+  additionalProperties: false,
+  properties: {
+    credentialId: {
+      type: 'string'
+    },
+    statusPurpose: {
+      type: 'string'
+    },
+    statusListId: {
+      type: 'string'
+    },
+    limit,
+    // ID of the event after which to start the page
+    after: {
+      type: 'string'
     }
   }
 };
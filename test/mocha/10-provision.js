@@ -50,6 +50,39 @@ describe('provision API', () => {
       error.name.should.equal('ValidationError');
       error.message.should.contain('should NOT have additional properties');
     });
+    it('throws error on missing "issue" zcap', async () => {
+      let err;
+      let result;
+      try {
+        result = await helpers.createStatusConfig({
+          capabilityAgent, zcaps: {}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(result);
+      err.status.should.equal(400);
+      err.data.name.should.equal('DataError');
+    });
+    it('throws error on missing "assertionMethod" zcap', async () => {
+      let err;
+      let result;
+      try {
+        result = await helpers.createStatusConfig({
+          capabilityAgent, zcaps: {issue: statusIssueZcap},
+          issueOptions: {
+            issuer: 'did:example:issuer', cryptosuite: 'eddsa-rdfc-2022'
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(result);
+      err.status.should.equal(400);
+      err.data.name.should.equal('DataError');
+    });
     it('creates a config', async () => {
       let err;
       let result;
@@ -140,6 +173,96 @@ describe('provision API', () => {
       error.message.should.contain('should NOT have fewer than 1 items');
       error.details.path.should.equal('.ipAllowList');
     });
+    it('creates a config including statusListOptions', async () => {
+      const statusListOptions = {validityPeriod: 60 * 60 * 1000};
+
+      let err;
+      let result;
+      try {
+        const zcaps = {
+          issue: statusIssueZcap
+        };
+        result = await helpers.createStatusConfig(
+          {capabilityAgent, statusListOptions, zcaps});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.should.have.keys([
+        'controller', 'id', 'sequence', 'meterId', 'statusListOptions', 'zcaps'
+      ]);
+      result.statusListOptions.should.eql(statusListOptions);
+    });
+    it('throws error on invalid statusListOptions', async () => {
+      // validity period is shorter than the minimum
+      const statusListOptions = {validityPeriod: 1000};
+
+      let err;
+      let result;
+      try {
+        const zcaps = {
+          issue: statusIssueZcap
+        };
+        result = await helpers.createStatusConfig(
+          {capabilityAgent, statusListOptions, zcaps});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(result);
+      err.data.details.errors.should.have.length(1);
+      const [error] = err.data.details.errors;
+      error.name.should.equal('ValidationError');
+      error.details.path.should.equal('.statusListOptions.validityPeriod');
+    });
+    it('throws error on webhook secret in config', async () => {
+      // webhook secrets are set separately so they are not part of the config
+      const webhooks = [{
+        url: 'https://example.com/webhook',
+        secret: 'a'.repeat(32)
+      }];
+
+      let err;
+      let result;
+      try {
+        const zcaps = {
+          issue: statusIssueZcap
+        };
+        result = await helpers.createStatusConfig(
+          {capabilityAgent, webhooks, zcaps});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(result);
+      err.data.details.errors.should.have.length(1);
+      const [error] = err.data.details.errors;
+      error.name.should.equal('ValidationError');
+    });
+    it('throws error on webhook on a private network', async () => {
+      const webhooks = [{url: 'https://127.0.0.1/webhook'}];
+      const cfg = bedrock.config['vc-status'].webhooks;
+      cfg.allowPrivateNetworks = false;
+
+      let err;
+      let result;
+      try {
+        const zcaps = {
+          issue: statusIssueZcap
+        };
+        result = await helpers.createStatusConfig(
+          {capabilityAgent, webhooks, zcaps});
+      } catch(e) {
+        err = e;
+      } finally {
+        cfg.allowPrivateNetworks = true;
+      }
+      should.exist(err);
+      should.not.exist(result);
+      err.status.should.equal(400);
+      err.data.name.should.equal('NotAllowedError');
+    });
     it('throws error on no "sequence"', async () => {
       const url = `${bedrock.config.server.baseUri}/issuers`;
       const config = {
@@ -1,7 +1,25 @@
 /*!
  * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
  */
+import * as bedrock from '@bedrock/core';
 import * as helpers from './helpers.js';
+import * as mappings from '@bedrock/vc-status/lib/mappings.js';
+import * as publisher from '@bedrock/vc-status/lib/publisher.js';
+import * as slcs from '@bedrock/vc-status/lib/slcs.js';
+import {
+  createEnvelopedCredential, parseEnvelope
+} from '@bedrock/vc-status/lib/envelopes.js';
+import {agent} from '@bedrock/https-agent';
+import {createHash} from 'node:crypto';
+import {createList} from '@bedrock/vc-status/lib/lists.js';
+import {encode as encodeCbor} from 'cborg';
+import {httpClient} from '@digitalbazaar/http-client';
+import {inflateSync} from 'node:zlib';
+import {isDeepStrictEqual} from 'node:util';
+import {mockData} from './mock.data.js';
+import path from 'node:path';
+import {readFile} from 'node:fs/promises';
+import {sign} from '@bedrock/vc-status/lib/webhooks.js';
 import {v4 as uuid} from 'uuid';
 
 describe('status APIs', () => {
@@ -64,155 +82,203 @@ describe('status APIs', () => {
       ]);
     });
 
-    it('creates a "BitstringStatusList" status list size=2^17', async () => {
+    it('creates a "RevocationList2020" status list', async () => {
       const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
-      const statusListOptions = {
-        credentialId: statusListId,
-        type: 'BitstringStatusList',
-        indexAllocator: `urn:uuid:${uuid()}`,
-        length: 131072,
-        statusPurpose: 'revocation'
-      };
-      let error;
-      let result;
-      try {
-        result = await helpers.createStatusList({
-          url: statusListId,
-          capabilityAgent,
-          capability: statusInstanceRootZcap,
-          statusListOptions
-        });
-      } catch(e) {
-        error = e;
-      }
-      assertNoError(error);
-      should.exist(result.id);
-      result.id.should.equal(statusListId);
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'RevocationList2020',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'revocation'
+        }
+      });
 
-      // get status list and make assertions on it
       const slc = await helpers.getStatusListCredential({statusListId});
-      should.exist(slc);
-      slc.should.include.keys([
-        'id', 'credentialSubject', 'validFrom', 'validUntil'
-      ]);
-      slc.id.should.equal(statusListOptions.credentialId);
-      slc.id.should.equal(statusListId);
-      slc.credentialSubject.should.include.keys([
-        'id', 'type', 'encodedList', 'statusPurpose'
-      ]);
+      slc['@context'].should.include(
+        'https://w3id.org/vc-revocation-list-2020/v1');
+      slc.type.should.include('RevocationList2020Credential');
+      slc.credentialSubject.type.should.equal('RevocationList2020');
+      should.not.exist(slc.credentialSubject.statusPurpose);
+
+      // revoke a credential using a legacy status entry
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const credentialId = `urn:uuid:${uuid()}`;
+      const credentialStatus = {
+        id: `${statusListId}#3`,
+        type: 'RevocationList2020Status',
+        statusPurpose: 'revocation',
+        revocationListCredential: statusListId,
+        revocationListIndex: '3'
+      };
+      await zcapClient.write({
+        url: `${statusInstanceId}/credentials/status`,
+        capability: statusInstanceRootZcap,
+        json: {
+          credentialId, indexAllocator: `urn:uuid:${uuid()}`,
+          credentialStatus, status: true
+        }
+      });
+      const {status} = await helpers.getCredentialStatus({
+        statusListCredential: statusListId, statusListIndex: '3'
+      });
+      status.should.equal(true);
     });
 
-    it('creates a "BitstringStatusList" status list size=2^26', async () => {
+    it('create "RevocationList2020" fails w/o "revocation" purpose',
+      async () => {
+        const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+        let error;
+        try {
+          await helpers.createStatusList({
+            url: statusListId,
+            capabilityAgent,
+            capability: statusInstanceRootZcap,
+            statusListOptions: {
+              credentialId: statusListId,
+              type: 'RevocationList2020',
+              indexAllocator: `urn:uuid:${uuid()}`,
+              length: 131072,
+              statusPurpose: 'suspension'
+            }
+          });
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.status.should.equal(400);
+        error.data.name.should.equal('NotSupportedError');
+      });
+
+    it('accepts unmodified "RevocationList2020Status" entries', async () => {
       const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
-      const statusListOptions = {
-        credentialId: statusListId,
-        type: 'BitstringStatusList',
-        indexAllocator: `urn:uuid:${uuid()}`,
-        length: 67108864,
-        statusPurpose: 'revocation'
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'RevocationList2020',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'revocation'
+        }
+      });
+
+      // legacy status entries have no `statusPurpose`
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const credentialStatus = {
+        id: `${statusListId}#7`,
+        type: 'RevocationList2020Status',
+        revocationListCredential: statusListId,
+        revocationListIndex: '7'
       };
       let error;
-      let result;
       try {
-        result = await helpers.createStatusList({
-          url: statusListId,
-          capabilityAgent,
+        await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status`,
           capability: statusInstanceRootZcap,
-          statusListOptions
+          json: {
+            credentialId: `urn:uuid:${uuid()}`,
+            indexAllocator: `urn:uuid:${uuid()}`,
+            credentialStatus, status: true
+          }
         });
       } catch(e) {
         error = e;
       }
       assertNoError(error);
-      should.exist(result.id);
-      result.id.should.equal(statusListId);
-
-      // get status list and make assertions on it
-      const slc = await helpers.getStatusListCredential({statusListId});
-      should.exist(slc);
-      slc.should.include.keys([
-        'id', 'credentialSubject', 'validFrom', 'validUntil'
-      ]);
-      slc.id.should.equal(statusListOptions.credentialId);
-      slc.id.should.equal(statusListId);
-      slc.credentialSubject.should.include.keys([
-        'id', 'type', 'encodedList', 'statusPurpose'
-      ]);
-    });
+      const {status} = await helpers.getCredentialStatus({
+        statusListCredential: statusListId, statusListIndex: '7'
+      });
+      status.should.equal(true);
 
-    it('creates a status list with non-equal credential ID', async () => {
-      // suffix must match
-      const suffix = `/status-lists/${uuid()}`;
-      const statusListId = `${statusInstanceId}${suffix}`;
-      const statusListOptions = {
-        credentialId: `https://foo.example/anything/111${suffix}`,
-        type: 'BitstringStatusList',
-        indexAllocator: `urn:uuid:${uuid()}`,
-        length: 131072,
-        statusPurpose: 'revocation'
-      };
-      let error;
-      let result;
+      // other status entries still require `statusPurpose`
+      error = undefined;
       try {
-        result = await helpers.createStatusList({
-          url: statusListId,
-          capabilityAgent,
+        await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status`,
           capability: statusInstanceRootZcap,
-          statusListOptions
+          json: {
+            credentialId: `urn:uuid:${uuid()}`,
+            credentialStatus: {
+              type: 'BitstringStatusListEntry',
+              statusListCredential: statusListId,
+              statusListIndex: '8'
+            }
+          }
         });
       } catch(e) {
         error = e;
       }
-      assertNoError(error);
-      should.exist(result.id);
-      result.id.should.equal(statusListId);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.type.should.equal('ValidationError');
+    });
 
-      // get status list and make assertions on it
-      const slc = await helpers.getStatusListCredential({statusListId});
-      should.exist(slc);
-      slc.should.include.keys([
-        'id', 'credentialSubject', 'validFrom', 'validUntil'
-      ]);
-      slc.id.should.equal(statusListOptions.credentialId);
-      slc.id.should.not.equal(statusListId);
-      slc.credentialSubject.should.include.keys([
-        'id', 'type', 'encodedList', 'statusPurpose'
-      ]);
+    it('creates a status list from an existing encoded list', async () => {
+      const length = 131072;
+      const list = await createList({type: 'BitstringStatusList', length});
+      list.setStatus(5, true);
+      const encodedList = await list.encode();
+
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length,
+          statusPurpose: 'revocation',
+          encodedList
+        }
+      });
+      const indexes = await helpers.getSetStatusListIndexes({
+        statusListCredential
+      });
+      indexes.should.deep.equal([5]);
     });
 
-    it('create fails w/ non-matching credential ID suffix', async () => {
-      // suffix must match
-      const localId = uuid();
-      const suffix = `/status-lists/${localId}`;
-      const statusListId = `${statusInstanceId}${suffix}`;
-      const statusListOptions = {
-        credentialId: `https://foo.example/not-allowed/${localId}`,
-        type: 'BitstringStatusList',
-        indexAllocator: `urn:uuid:${uuid()}`,
-        length: 131072,
-        statusPurpose: 'revocation'
-      };
-      let error;
-      let result;
-      try {
-        result = await helpers.createStatusList({
-          url: statusListId,
-          capabilityAgent,
-          capability: statusInstanceRootZcap,
-          statusListOptions
+    it('fails to create a status list from an invalid encoded list',
+      async () => {
+        const list = await createList({
+          type: 'BitstringStatusList', length: 131072
         });
-      } catch(e) {
-        error = e;
-      }
-      should.not.exist(result);
-      should.exist(error);
-      error.data.message.should.equal(
-        'Credential ID must end in status list suffix ' +
-        `("/status-lists/${localId}").`);
-    });
+        for(const encodedList of [await list.encode(), 'uinvalid']) {
+          const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+          let error;
+          try {
+            await helpers.createStatusList({
+              url: statusListId,
+              capabilityAgent,
+              capability: statusInstanceRootZcap,
+              statusListOptions: {
+                credentialId: statusListId,
+                type: 'BitstringStatusList',
+                indexAllocator: `urn:uuid:${uuid()}`,
+                // does not match the length of the first encoded list
+                length: 262144,
+                statusPurpose: 'revocation',
+                encodedList
+              }
+            });
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.status.should.equal(400);
+          error.data.name.should.equal('DataError');
+        }
+      });
 
-    it('creates a terse "BitstringStatusList" status list', async () => {
-      const statusListId = `${statusInstanceId}/status-lists/revocation/0`;
+    it('creates a "BitstringStatusList" status list size=2^17', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
       const statusListOptions = {
         credentialId: statusListId,
         type: 'BitstringStatusList',
@@ -242,21 +308,20 @@ describe('status APIs', () => {
       slc.should.include.keys([
         'id', 'credentialSubject', 'validFrom', 'validUntil'
       ]);
+      slc.id.should.equal(statusListOptions.credentialId);
       slc.id.should.equal(statusListId);
       slc.credentialSubject.should.include.keys([
         'id', 'type', 'encodedList', 'statusPurpose'
       ]);
     });
 
-    it('creates a terse status list with non-equal credential ID', async () => {
-      // suffix must match
-      const suffix = `/status-lists/revocation/0`;
-      const statusListId = `${statusInstanceId}${suffix}`;
+    it('creates a "BitstringStatusList" status list size=2^26', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
       const statusListOptions = {
-        credentialId: `https://foo.example/anything/111${suffix}`,
+        credentialId: statusListId,
         type: 'BitstringStatusList',
         indexAllocator: `urn:uuid:${uuid()}`,
-        length: 131072,
+        length: 67108864,
         statusPurpose: 'revocation'
       };
       let error;
@@ -282,73 +347,2553 @@ describe('status APIs', () => {
         'id', 'credentialSubject', 'validFrom', 'validUntil'
       ]);
       slc.id.should.equal(statusListOptions.credentialId);
-      slc.id.should.not.equal(statusListId);
+      slc.id.should.equal(statusListId);
       slc.credentialSubject.should.include.keys([
         'id', 'type', 'encodedList', 'statusPurpose'
       ]);
     });
 
-    it('create terse fails w/ non-matching credential ID suffix', async () => {
-      // suffix must match
-      const suffix = `/status-lists/revocation/0`;
-      const statusListId = `${statusInstanceId}${suffix}`;
-      const statusListOptions = {
-        credentialId: `https://foo.example/not-allowed/revocation/0`,
-        type: 'BitstringStatusList',
-        indexAllocator: `urn:uuid:${uuid()}`,
-        length: 131072,
-        statusPurpose: 'revocation'
-      };
-      let error;
-      let result;
-      try {
-        result = await helpers.createStatusList({
+    it('serves enveloped status lists from all routes', async () => {
+      // use a new status instance w/ a VC-JWT issuer
+      const {statusIssueZcap} = await helpers.provisionDependencies({
+        envelope: {format: 'VC-JWT', options: {alg: 'EdDSA'}}
+      });
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {issue: statusIssueZcap}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const statusListIds = [
+        `${statusConfig.id}/status-lists/${uuid()}`,
+        `${statusConfig.id}/status-lists/revocation/0`
+      ];
+      for(const statusListId of statusListIds) {
+        await helpers.createStatusList({
           url: statusListId,
           capabilityAgent,
-          capability: statusInstanceRootZcap,
-          statusListOptions
+          capability: rootZcap,
+          statusListOptions: {
+            credentialId: statusListId,
+            type: 'BitstringStatusList',
+            indexAllocator: `urn:uuid:${uuid()}`,
+            length: 131072,
+            statusPurpose: 'revocation'
+          }
         });
-      } catch(e) {
-        error = e;
+
+        const {data} = await httpClient.get(statusListId, {agent});
+        data.type.should.equal('EnvelopedVerifiableCredential');
+        data.id.should.match(/^data:application\/jwt,/);
+        const slc = await helpers.getStatusListCredential({statusListId});
+        slc.id.should.equal(statusListId);
       }
-      should.not.exist(result);
-      should.exist(error);
-      error.data.message.should.equal(
-        'Credential ID must end in status list suffix ' +
-        '("/status-lists/revocation/0").');
     });
-  });
 
-  describe('/credentials/status', () => {
-    it('updates a "StatusList2021" revocation status', async () => {
-      // first create a status list
-      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
-      const statusListOptions = {
-        credentialId: statusListId,
-        type: 'StatusList2021',
-        indexAllocator: `urn:uuid:${uuid()}`,
-        length: 131072,
-        statusPurpose: 'revocation'
-      };
-      const {id: statusListCredential} = await helpers.createStatusList({
+    it('negotiates status list representations via "Accept"', async () => {
+      // use a new status instance w/ a VC-JWT issuer
+      const {statusIssueZcap} = await helpers.provisionDependencies({
+        envelope: {format: 'VC-JWT', options: {alg: 'EdDSA'}}
+      });
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {issue: statusIssueZcap}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const statusListId = `${statusConfig.id}/status-lists/${uuid()}`;
+      await helpers.createStatusList({
         url: statusListId,
         capabilityAgent,
-        capability: statusInstanceRootZcap,
+        capability: rootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'revocation'
+        }
+      });
+
+      // default: enveloped VC
+      const {data: enveloped, headers} = await httpClient.get(
+        statusListId, {agent});
+      headers.get('content-type').should.match(/^application\/json/);
+      headers.get('vary').should.match(/Accept/);
+      enveloped.type.should.equal('EnvelopedVerifiableCredential');
+
+      // raw JWT
+      const jwtResponse = await httpClient.get(statusListId, {
+        agent, headers: {accept: 'application/jwt'}
+      });
+      jwtResponse.headers.get('content-type').should.match(
+        /^application\/jwt/);
+      const jwt = await jwtResponse.text();
+      `data:application/jwt,${jwt}`.should.equal(enveloped.id);
+
+      // never served w/o its envelope, e.g., as the unsecured VC
+      for(const accept of ['application/vc', 'application/vc+cose']) {
+        let error;
+        try {
+          await httpClient.get(statusListId, {agent, headers: {accept}});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.status.should.equal(406);
+        error.data.name.should.equal('NotAcceptableError');
+        error.data.details.supportedMediaTypes.should.deep.equal(
+          ['application/json', 'application/jwt']);
+      }
+    });
+
+    it('serves unenveloped status lists as "application/vc"', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'revocation'
+        }
+      });
+
+      const {data: json} = await httpClient.get(statusListId, {agent});
+      const vcResponse = await httpClient.get(statusListId, {
+        agent, headers: {accept: 'application/vc'}
+      });
+      vcResponse.headers.get('content-type').should.match(
+        /^application\/vc/);
+      const slc = JSON.parse(await vcResponse.text());
+      slc.should.deep.equal(json);
+      slc.id.should.equal(statusListId);
+      slc.credentialSubject.type.should.equal('BitstringStatusList');
+    });
+
+    it('signs status lists in-process', async () => {
+      // use a new status instance that signs using its own key
+      const {
+        issuer, assertionMethodZcap
+      } = await helpers.provisionStatusSigner({capabilityAgent});
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {assertionMethod: assertionMethodZcap},
+        issueOptions: {issuer, cryptosuite: 'eddsa-rdfc-2022'}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const statusListId = `${statusConfig.id}/status-lists/revocation/0`;
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: rootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'revocation',
+          allocation: 'server'
+        }
+      });
+
+      const slc = await helpers.getStatusListCredential({statusListId});
+      slc.issuer.should.equal(issuer);
+      slc.proof.type.should.equal('DataIntegrityProof');
+      slc.proof.cryptosuite.should.equal('eddsa-rdfc-2022');
+      slc.proof.verificationMethod.should.match(new RegExp(`^${issuer}#`));
+
+      // status updates are also signed in-process
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const credentialId = `urn:uuid:${uuid()}`;
+      const {data: {credentialStatus}} = await zcapClient.write({
+        url: `${statusConfig.id}/credentials/status/allocate`,
+        capability: rootZcap,
+        json: {credentialId, statusPurpose: 'revocation'}
+      });
+      await zcapClient.write({
+        url: `${statusConfig.id}/credentials/status`,
+        capability: rootZcap,
+        json: {credentialId, credentialStatus, status: true}
+      });
+      const {status} = await helpers.getCredentialStatus(credentialStatus);
+      status.should.equal(true);
+    });
+
+    it('creates a "TokenStatusList" status list', async () => {
+      // Status List Tokens are signed in-process
+      const {
+        issuer, assertionMethodZcap
+      } = await helpers.provisionStatusSigner({capabilityAgent});
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {assertionMethod: assertionMethodZcap},
+        issueOptions: {issuer, cryptosuite: 'eddsa-rdfc-2022'}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const statusListId = `${statusConfig.id}/status-lists/revocation/0`;
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: rootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'TokenStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'revocation',
+          allocation: 'server',
+          statusSize: 2
+        }
+      });
+
+      // only the Status List Token is served
+      const getToken = async () => {
+        const response = await httpClient.get(statusListId, {agent});
+        response.headers.get('content-type').should.equal(
+          'application/statuslist+jwt');
+        const [header, payload] = (await response.text()).split('.');
+        return {
+          header: JSON.parse(Buffer.from(header, 'base64url')),
+          payload: JSON.parse(Buffer.from(payload, 'base64url'))
+        };
+      };
+      const {header, payload} = await getToken();
+      header.typ.should.equal('statuslist+jwt');
+      header.alg.should.equal('EdDSA');
+      payload.iss.should.equal(issuer);
+      payload.sub.should.equal(statusListId);
+      payload.exp.should.be.a('number');
+      payload.status_list.bits.should.equal(2);
+      let error;
+      try {
+        await httpClient.get(statusListId, {
+          agent, headers: {accept: 'application/json'}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(406);
+
+      // allocate an index, including the `status` claim for the token
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const credentialId = `urn:uuid:${uuid()}`;
+      const {data: {credentialStatus, status}} = await zcapClient.write({
+        url: `${statusConfig.id}/credentials/status/allocate`,
+        capability: rootZcap,
+        json: {credentialId, statusPurpose: 'revocation'}
+      });
+      credentialStatus.type.should.equal('TokenStatusListEntry');
+      credentialStatus.statusSize.should.equal(2);
+      status.status_list.uri.should.equal(statusListId);
+      status.status_list.idx.should.equal(
+        parseInt(credentialStatus.statusListIndex, 10));
+
+      // set a 2-bit status and read it back from the token's list
+      await zcapClient.write({
+        url: `${statusConfig.id}/credentials/status`,
+        capability: rootZcap,
+        json: {credentialId, credentialStatus, status: 3}
+      });
+      const {payload: {status_list: {lst}}} = await getToken();
+      const bytes = inflateSync(Buffer.from(lst, 'base64url'));
+      const {idx} = status.status_list;
+      ((bytes[Math.floor(idx / 4)] >> (idx % 4) * 2) & 3).should.equal(3);
+    });
+
+    it('creates a "TokenStatusList" status list w/ CWTs', async () => {
+      const {
+        issuer, assertionMethodZcap
+      } = await helpers.provisionStatusSigner({capabilityAgent});
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {assertionMethod: assertionMethodZcap},
+        issueOptions: {issuer, cryptosuite: 'eddsa-rdfc-2022'}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const statusListId = `${statusConfig.id}/status-lists/${uuid()}`;
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: rootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'TokenStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'revocation',
+          format: 'cwt'
+        }
+      });
+
+      const response = await httpClient.get(statusListId, {agent});
+      response.headers.get('content-type').should.equal(
+        'application/statuslist+cwt');
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      // tagged COSE_Sign1
+      bytes[0].should.equal(0xd2);
+    });
+
+    it('create "TokenStatusList" fails w/o "issueOptions"', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      let error;
+      try {
+        await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions: {
+            credentialId: statusListId,
+            type: 'TokenStatusList',
+            indexAllocator: `urn:uuid:${uuid()}`,
+            length: 131072,
+            statusPurpose: 'revocation'
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('NotSupportedError');
+
+      // nothing was stored
+      error = undefined;
+      try {
+        await httpClient.get(statusListId, {agent});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(404);
+    });
+
+    it('create "TokenStatusList" fails w/ "statusSize" 3', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      let error;
+      try {
+        await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions: {
+            credentialId: statusListId,
+            type: 'TokenStatusList',
+            indexAllocator: `urn:uuid:${uuid()}`,
+            length: 131070,
+            statusPurpose: 'revocation',
+            statusSize: 3
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+    });
+
+    it('create fails w/ "statusSize" 2 and no "statusMessage"', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      let error;
+      try {
+        await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions: {
+            credentialId: statusListId,
+            type: 'BitstringStatusList',
+            indexAllocator: `urn:uuid:${uuid()}`,
+            length: 131072,
+            statusPurpose: 'message',
+            statusSize: 2
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+      error.data.message.should.equal(
+        '"statusMessage" is required when "statusSize" is 2.');
+    });
+
+    it('create fails w/ duplicate "statusMessage" values', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      let error;
+      try {
+        await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions: {
+            credentialId: statusListId,
+            type: 'BitstringStatusList',
+            indexAllocator: `urn:uuid:${uuid()}`,
+            length: 131072,
+            statusPurpose: 'message',
+            statusSize: 2,
+            statusMessage: [
+              {status: '0x0', message: 'pending_review'},
+              {status: '0x1', message: 'accepted'},
+              {status: '0x2', message: 'rejected'},
+              {status: '0x02', message: 'undefined'}
+            ]
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+      error.data.message.should.equal(
+        '"statusMessage" status "0x02" is not unique.');
+    });
+
+    it('create fails w/ a "statusMessage" value above "statusSize"',
+      async () => {
+        const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+        let error;
+        try {
+          await helpers.createStatusList({
+            url: statusListId,
+            capabilityAgent,
+            capability: statusInstanceRootZcap,
+            statusListOptions: {
+              credentialId: statusListId,
+              type: 'BitstringStatusList',
+              indexAllocator: `urn:uuid:${uuid()}`,
+              length: 131072,
+              statusPurpose: 'message',
+              statusSize: 2,
+              statusMessage: [
+                {status: '0x0', message: 'pending_review'},
+                {status: '0x1', message: 'accepted'},
+                {status: '0x2', message: 'rejected'},
+                {status: '0x4', message: 'undefined'}
+              ]
+            }
+          });
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.status.should.equal(400);
+        error.data.name.should.equal('DataError');
+        error.data.message.should.equal(
+          '"statusMessage" status "0x4" exceeds the maximum status ' +
+          'value (3) when "statusSize" is 2.');
+      });
+
+    it('create fails w/ insufficient meter storage', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      // mock meters make 100 storage units available
+      const {storageCost} = bedrock.config['vc-status'];
+      const {statusList: cost} = storageCost;
+      storageCost.statusList = 101;
+      let error;
+      let result;
+      try {
+        result = await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions
+        });
+      } catch(e) {
+        error = e;
+      } finally {
+        storageCost.statusList = cost;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(403);
+      error.data.name.should.equal('QuotaExceededError');
+    });
+
+    it('create fails w/ insufficient meter storage for its encoded list',
+      async () => {
+        // a random list does not compress, so its encoded list is ~22 KiB
+        const length = 131072;
+        const list = await createList({type: 'BitstringStatusList', length});
+        for(let i = 0; i < length; ++i) {
+          list.setStatus(i, Math.random() < 0.5);
+        }
+        const encodedList = await list.encode();
+        const statusListOptions = {
+          type: 'BitstringStatusList',
+          length,
+          statusPurpose: 'revocation'
+        };
+
+        // mock meters make 100 storage units available, enough for an empty
+        // list's encoded list, but not for the imported one
+        const {storageCost} = bedrock.config['vc-status'];
+        const {encodedListKibibyte: cost} = storageCost;
+        storageCost.encodedListKibibyte = 5;
+        let error;
+        let result;
+        try {
+          let statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+          await helpers.createStatusList({
+            url: statusListId,
+            capabilityAgent,
+            capability: statusInstanceRootZcap,
+            statusListOptions: {
+              ...statusListOptions,
+              credentialId: statusListId,
+              indexAllocator: `urn:uuid:${uuid()}`
+            }
+          });
+          statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+          result = await helpers.createStatusList({
+            url: statusListId,
+            capabilityAgent,
+            capability: statusInstanceRootZcap,
+            statusListOptions: {
+              ...statusListOptions,
+              credentialId: statusListId,
+              indexAllocator: `urn:uuid:${uuid()}`,
+              encodedList
+            }
+          });
+        } catch(e) {
+          error = e;
+        } finally {
+          storageCost.encodedListKibibyte = cost;
+        }
+        should.not.exist(result);
+        should.exist(error);
+        error.status.should.equal(403);
+        error.data.name.should.equal('QuotaExceededError');
+      });
+
+    it('creates a status list with non-equal credential ID', async () => {
+      // suffix must match
+      const suffix = `/status-lists/${uuid()}`;
+      const statusListId = `${statusInstanceId}${suffix}`;
+      const statusListOptions = {
+        credentialId: `https://foo.example/anything/111${suffix}`,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      let error;
+      let result;
+      try {
+        result = await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result.id);
+      result.id.should.equal(statusListId);
+
+      // get status list and make assertions on it
+      const slc = await helpers.getStatusListCredential({statusListId});
+      should.exist(slc);
+      slc.should.include.keys([
+        'id', 'credentialSubject', 'validFrom', 'validUntil'
+      ]);
+      slc.id.should.equal(statusListOptions.credentialId);
+      slc.id.should.not.equal(statusListId);
+      slc.credentialSubject.should.include.keys([
+        'id', 'type', 'encodedList', 'statusPurpose'
+      ]);
+    });
+
+    it('create fails w/ non-matching credential ID suffix', async () => {
+      // suffix must match
+      const localId = uuid();
+      const suffix = `/status-lists/${localId}`;
+      const statusListId = `${statusInstanceId}${suffix}`;
+      const statusListOptions = {
+        credentialId: `https://foo.example/not-allowed/${localId}`,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      let error;
+      let result;
+      try {
+        result = await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.data.message.should.equal(
+        'Credential ID must end in status list suffix ' +
+        `("/status-lists/${localId}").`);
+    });
+
+    it('creates a terse "BitstringStatusList" status list', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/revocation/0`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      let error;
+      let result;
+      try {
+        result = await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result.id);
+      result.id.should.equal(statusListId);
+
+      // get status list and make assertions on it
+      const slc = await helpers.getStatusListCredential({statusListId});
+      should.exist(slc);
+      slc.should.include.keys([
+        'id', 'credentialSubject', 'validFrom', 'validUntil'
+      ]);
+      slc.id.should.equal(statusListId);
+      slc.credentialSubject.should.include.keys([
+        'id', 'type', 'encodedList', 'statusPurpose'
+      ]);
+    });
+
+    it('creates a terse status list with non-equal credential ID', async () => {
+      // suffix must match
+      const suffix = `/status-lists/revocation/0`;
+      const statusListId = `${statusInstanceId}${suffix}`;
+      const statusListOptions = {
+        credentialId: `https://foo.example/anything/111${suffix}`,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      let error;
+      let result;
+      try {
+        result = await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result.id);
+      result.id.should.equal(statusListId);
+
+      // get status list and make assertions on it
+      const slc = await helpers.getStatusListCredential({statusListId});
+      should.exist(slc);
+      slc.should.include.keys([
+        'id', 'credentialSubject', 'validFrom', 'validUntil'
+      ]);
+      slc.id.should.equal(statusListOptions.credentialId);
+      slc.id.should.not.equal(statusListId);
+      slc.credentialSubject.should.include.keys([
+        'id', 'type', 'encodedList', 'statusPurpose'
+      ]);
+    });
+
+    it('create terse fails w/ non-matching credential ID suffix', async () => {
+      // suffix must match
+      const suffix = `/status-lists/revocation/0`;
+      const statusListId = `${statusInstanceId}${suffix}`;
+      const statusListOptions = {
+        credentialId: `https://foo.example/not-allowed/revocation/0`,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      let error;
+      let result;
+      try {
+        result = await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.data.message.should.equal(
+        'Credential ID must end in status list suffix ' +
+        '("/status-lists/revocation/0").');
+    });
+
+    it('lists status lists w/ pagination', async () => {
+      // create some status lists
+      const statusListIds = [];
+      for(let i = 0; i < 3; ++i) {
+        const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+        const statusListOptions = {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'revocation'
+        };
+        await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions
+        });
+        statusListIds.push(statusListId);
+      }
+      statusListIds.sort();
+
+      // get first page
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const url = `${statusInstanceId}/status-lists`;
+      let error;
+      let result;
+      try {
+        ({data: result} = await zcapClient.read({
+          url: `${url}?limit=2`, capability: statusInstanceRootZcap
+        }));
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.statusLists.should.have.length(2);
+      result.statusLists.map(({id}) => id).should.deep.equal(
+        statusListIds.slice(0, 2));
+      const [summary] = result.statusLists;
+      summary.should.include.keys([
+        'id', 'credentialId', 'type', 'statusPurpose', 'length', 'sequence',
+        'indexAllocator', 'allocation', 'created', 'updated'
+      ]);
+      summary.type.should.equal('BitstringStatusList');
+      summary.allocation.should.equal('client');
+      summary.statusPurpose.should.equal('revocation');
+      summary.length.should.equal(131072);
+      summary.sequence.should.equal(0);
+      should.exist(result.next);
+
+      // get next page
+      ({data: result} = await zcapClient.read({
+        url: `${url}?limit=2&after=${encodeURIComponent(result.next)}`,
+        capability: statusInstanceRootZcap
+      }));
+      result.statusLists.should.have.length(1);
+      result.statusLists[0].id.should.equal(statusListIds[2]);
+      should.not.exist(result.next);
+    });
+
+    it('lists status lists created w/o a stored length', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'StatusList2021',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+      await helpers.removeStatusListLength({statusListId});
+
+      // length is computed from the encoded list and stored
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const after = statusListId.slice(0, -1);
+      const {data: result} = await zcapClient.read({
+        url: `${statusInstanceId}/status-lists?limit=100&after=` +
+          encodeURIComponent(after),
+        capability: statusInstanceRootZcap
+      });
+      const summary = result.statusLists.find(({id}) => id === statusListId);
+      summary.length.should.equal(131072);
+      should.not.exist(summary.allocated);
+      const record = await helpers.findStatusListRecord({statusListId});
+      record.length.should.equal(131072);
+      should.not.exist(record.capacity);
+    });
+  });
+
+  describe('/credentials/status', () => {
+    it('updates a "StatusList2021" revocation status', async () => {
+      // first create a status list
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'StatusList2021',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // pretend a VC with this `credentialId` has been issued
+      const credentialId = `urn:uuid:${uuid()}`;
+      const statusListIndex = '0';
+
+      // get VC status
+      const statusInfo = await helpers.getCredentialStatus({
+        statusListCredential, statusListIndex
+      });
+      let {status} = statusInfo;
+      status.should.equal(false);
+
+      // then revoke VC
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      let error;
+      try {
+        await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status`,
+          capability: statusInstanceRootZcap,
+          json: {
+            credentialId,
+            indexAllocator: statusListOptions.indexAllocator,
+            credentialStatus: {
+              type: 'StatusList2021Entry',
+              statusPurpose: 'revocation',
+              statusListCredential,
+              statusListIndex
+            }
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+
+      // force refresh status list
+      await zcapClient.write({
+        url: `${statusListCredential}?refresh=true`,
+        capability: statusInstanceRootZcap,
+        json: {}
+      });
+
+      // check status of VC has changed
+      ({status} = await helpers.getCredentialStatus({
+        statusListCredential, statusListIndex
+      }));
+      status.should.equal(true);
+    });
+
+    it('updates a "BitstringStatusList" revocation status', async () => {
+      // first create a status list
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // pretend a VC with this `credentialId` has been issued
+      const credentialId = `urn:uuid:${uuid()}`;
+      const statusListIndex = '0';
+
+      // get VC status
+      const statusInfo = await helpers.getCredentialStatus({
+        statusListCredential, statusListIndex
+      });
+      let {status} = statusInfo;
+      status.should.equal(false);
+
+      // then revoke VC
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      let error;
+      try {
+        await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status`,
+          capability: statusInstanceRootZcap,
+          json: {
+            credentialId,
+            indexAllocator: statusListOptions.indexAllocator,
+            credentialStatus: {
+              type: 'BitstringStatusListEntry',
+              statusPurpose: 'revocation',
+              statusListCredential,
+              statusListIndex
+            }
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+
+      // force refresh status list
+      await zcapClient.write({
+        url: `${statusListCredential}?refresh=true`,
+        capability: statusInstanceRootZcap,
+        json: {}
+      });
+
+      // check status of VC has changed
+      ({status} = await helpers.getCredentialStatus({
+        statusListCredential, statusListIndex
+      }));
+      status.should.equal(true);
+    });
+
+    it('verifies the status of a credential', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // revoke a VC
+      const credentialStatus = {
+        id: `${statusListCredential}#5`,
+        type: 'BitstringStatusListEntry',
+        statusPurpose: 'revocation',
+        statusListCredential,
+        statusListIndex: '5'
+      };
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      await zcapClient.write({
+        url: `${statusInstanceId}/credentials/status`,
+        capability: statusInstanceRootZcap,
+        json: {
+          credentialId: `urn:uuid:${uuid()}`,
+          indexAllocator: statusListOptions.indexAllocator,
+          credentialStatus
+        }
+      });
+
+      // verify VC, including an unrevoked entry and a mismatched one
+      const verifiableCredential = {
+        '@context': ['https://www.w3.org/ns/credentials/v2'],
+        type: ['VerifiableCredential'],
+        issuer: 'did:example:issuer',
+        credentialSubject: {id: 'did:example:subject'},
+        credentialStatus: [credentialStatus, {
+          ...credentialStatus, id: `${statusListCredential}#6`,
+          statusListIndex: '6'
+        }, {
+          ...credentialStatus, statusPurpose: 'suspension'
+        }]
+      };
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status/verify`,
+          capability: statusInstanceRootZcap,
+          json: {verifiableCredential}
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      const {results} = result.data;
+      results.length.should.equal(3);
+      results[0].verified.should.equal(true);
+      results[0].status.should.equal(true);
+      results[0].sequence.should.equal(1);
+      should.exist(results[0].validFrom);
+      should.exist(results[0].validUntil);
+      results[1].verified.should.equal(true);
+      results[1].status.should.equal(false);
+      results[2].verified.should.equal(false);
+      results[2].error.name.should.equal('DataError');
+    });
+
+    it('verifies status w/o refreshing the status list', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'revocation'
+        }
+      });
+      await helpers.expireStatusList({statusListId});
+
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      for(let i = 0; i < 2; ++i) {
+        const {data: {results}} = await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status/verify`,
+          capability: statusInstanceRootZcap,
+          json: {
+            credentialStatus: {
+              type: 'BitstringStatusListEntry',
+              statusPurpose: 'revocation',
+              statusListCredential,
+              statusListIndex: `${i}`
+            }
+          }
+        });
+        results[0].verified.should.equal(true);
+        results[0].status.should.equal(false);
+        results[0].sequence.should.equal(0);
+        Date.parse(results[0].validUntil).should.be.below(Date.now());
+      }
+
+      // status list credential was not reissued
+      const record = await slcs.get({statusListId, useCache: false});
+      record.meta.sequence.should.equal(0);
+    });
+
+    it('fails to verify a status entry of a list on another host',
+      async () => {
+        const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+        const {id: statusListCredential} = await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions: {
+            credentialId: statusListId,
+            type: 'BitstringStatusList',
+            indexAllocator: `urn:uuid:${uuid()}`,
+            length: 131072,
+            statusPurpose: 'revocation'
+          }
+        });
+
+        // same path as the local status list, but on another host
+        const {pathname} = new URL(statusListCredential);
+        const zcapClient = helpers.createZcapClient({capabilityAgent});
+        const {data: {results}} = await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status/verify`,
+          capability: statusInstanceRootZcap,
+          json: {
+            credentialStatus: {
+              type: 'BitstringStatusListEntry',
+              statusPurpose: 'revocation',
+              statusListCredential: `https://attacker.example${pathname}`,
+              statusListIndex: '0'
+            }
+          }
+        });
+        results.length.should.equal(1);
+        results[0].verified.should.equal(false);
+        results[0].error.name.should.equal('DataError');
+      });
+
+    it('verifies a status entry of a non-existent list', async () => {
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const statusListCredential =
+        `${statusInstanceId}/status-lists/${uuid()}`;
+      const {data: {results}} = await zcapClient.write({
+        url: `${statusInstanceId}/credentials/status/verify`,
+        capability: statusInstanceRootZcap,
+        json: {
+          credentialStatus: {
+            type: 'BitstringStatusListEntry',
+            statusPurpose: 'revocation',
+            statusListCredential,
+            statusListIndex: '0'
+          }
+        }
+      });
+      results.length.should.equal(1);
+      results[0].verified.should.equal(false);
+      results[0].error.name.should.equal('NotFoundError');
+    });
+
+    it('migrates a "StatusList2021" status list', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'StatusList2021',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // revoke a VC
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const credentialStatus = {
+        type: 'StatusList2021Entry',
+        statusPurpose: 'revocation',
+        statusListCredential,
+        statusListIndex: '0'
+      };
+      await zcapClient.write({
+        url: `${statusInstanceId}/credentials/status`,
+        capability: statusInstanceRootZcap,
+        json: {
+          credentialId: `urn:uuid:${uuid()}`,
+          indexAllocator: statusListOptions.indexAllocator,
+          credentialStatus
+        }
+      });
+
+      // migrate status list
+      let error;
+      try {
+        await zcapClient.write({
+          url: `${statusListCredential}?migrate=true`,
+          capability: statusInstanceRootZcap,
+          json: {}
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+
+      // same URL and bits, new type and sequence
+      const slc = await helpers.getStatusListCredential({statusListId});
+      slc.id.should.equal(statusListCredential);
+      slc.type.should.include('BitstringStatusListCredential');
+      slc.credentialSubject.type.should.equal('BitstringStatusList');
+      slc.credentialSubject.statusPurpose.should.equal('revocation');
+      const record = await slcs.get({statusListId, useCache: false});
+      record.meta.sequence.should.equal(2);
+      let {status} = await helpers.getCredentialStatus(credentialStatus);
+      status.should.equal(true);
+
+      // entries of VCs issued before the migration are still accepted
+      await zcapClient.write({
+        url: `${statusInstanceId}/credentials/status`,
+        capability: statusInstanceRootZcap,
+        json: {
+          credentialId: `urn:uuid:${uuid()}`,
+          indexAllocator: statusListOptions.indexAllocator,
+          credentialStatus: {...credentialStatus, statusListIndex: '1'}
+        }
+      });
+      ({status} = await helpers.getCredentialStatus({
+        ...credentialStatus, statusListIndex: '1'
+      }));
+      status.should.equal(true);
+
+      // a migrated status list cannot be migrated again
+      error = undefined;
+      try {
+        await zcapClient.write({
+          url: `${statusListCredential}?migrate=true`,
+          capability: statusInstanceRootZcap,
+          json: {}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('NotSupportedError');
+
+      // migrated status lists are marked as such
+      const migrated = await slcs.get({statusListId, useCache: false});
+      migrated.meta.migratedFrom.should.equal('StatusList2021');
+    });
+
+    it('rejects "StatusList2021Entry" on unmigrated lists', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      const credentialStatus = {
+        type: 'StatusList2021Entry',
+        statusPurpose: 'revocation',
+        statusListCredential,
+        statusListIndex: '0'
+      };
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status`,
+          capability: statusInstanceRootZcap,
+          json: {
+            credentialId: `urn:uuid:${uuid()}`,
+            indexAllocator: statusListOptions.indexAllocator,
+            credentialStatus
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+
+      // verifying such an entry fails too
+      const {data: {results}} = await zcapClient.write({
+        url: `${statusInstanceId}/credentials/status/verify`,
+        capability: statusInstanceRootZcap,
+        json: {credentialStatus}
+      });
+      results[0].verified.should.equal(false);
+      results[0].error.name.should.equal('DataError');
+    });
+
+    it('fails to set status when no "indexAllocator" given', async () => {
+      // first create a status list
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // pretend a VC with this `credentialId` has been issued
+      const credentialId = `urn:uuid:${uuid()}`;
+      const statusListIndex = '0';
+
+      // get VC status, should work w/ initialized `false` value
+      const statusInfo = await helpers.getCredentialStatus({
+        statusListCredential, statusListIndex
+      });
+      const {status} = statusInfo;
+      status.should.equal(false);
+
+      // try to revoke VC w/o `indexAllocator`
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      let error;
+      try {
+        await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status`,
+          capability: statusInstanceRootZcap,
+          json: {
+            credentialId,
+            credentialStatus: {
+              type: 'BitstringStatusListEntry',
+              statusPurpose: 'revocation',
+              statusListCredential,
+              statusListIndex
+            }
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.data.message.should.equal(
+        '"indexAllocator" is required when setting the status of a ' +
+        'credential the first time.');
+    });
+
+    it('updates a terse "BitstringStatusList" revocation status', async () => {
+      // first create a terse status list
+      const statusListId = `${statusInstanceId}/status-lists/revocation/0`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // pretend a VC with this `credentialId` has been issued
+      const credentialId = `urn:uuid:${uuid()}`;
+      const statusListIndex = '0';
+
+      // get VC status
+      const statusInfo = await helpers.getCredentialStatus({
+        statusListCredential, statusListIndex
+      });
+      let {status} = statusInfo;
+      status.should.equal(false);
+
+      // then revoke VC
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      {
+        let error;
+        try {
+          await zcapClient.write({
+            url: `${statusInstanceId}/credentials/status`,
+            capability: statusInstanceRootZcap,
+            json: {
+              credentialId,
+              indexAllocator: statusListOptions.indexAllocator,
+              credentialStatus: {
+                type: 'BitstringStatusListEntry',
+                statusPurpose: 'revocation',
+                statusListCredential,
+                statusListIndex
+              }
+            }
+          });
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+      }
+
+      // force refresh status list
+      await zcapClient.write({
+        url: `${statusListCredential}?refresh=true`,
+        capability: statusInstanceRootZcap,
+        json: {}
+      });
+
+      // check status of VC has changed
+      ({status} = await helpers.getCredentialStatus({
+        statusListCredential, statusListIndex
+      }));
+      status.should.equal(true);
+
+      // then unrevoke VC to ensure it can be switched back
+      {
+        let error;
+        try {
+          await zcapClient.write({
+            url: `${statusInstanceId}/credentials/status`,
+            capability: statusInstanceRootZcap,
+            json: {
+              credentialId,
+              indexAllocator: statusListOptions.indexAllocator,
+              credentialStatus: {
+                type: 'BitstringStatusListEntry',
+                statusPurpose: 'revocation',
+                statusListCredential,
+                statusListIndex
+              },
+              status: false
+            }
+          });
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+      }
+
+      // force refresh status list
+      await zcapClient.write({
+        url: `${statusListCredential}?refresh=true`,
+        capability: statusInstanceRootZcap,
+        json: {}
+      });
+
+      // check status of VC has changed
+      ({status} = await helpers.getCredentialStatus({
+        statusListCredential, statusListIndex
+      }));
+      status.should.equal(false);
+
+      // then revoke VC again with only status type and purpose now that
+      // it has been registered with the status system
+      {
+        let error;
+        try {
+          await zcapClient.write({
+            url: `${statusInstanceId}/credentials/status`,
+            capability: statusInstanceRootZcap,
+            json: {
+              credentialId,
+              credentialStatus: {
+                type: 'BitstringStatusListEntry',
+                statusPurpose: 'revocation'
+              },
+              status: true
+            }
+          });
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+      }
+
+      // force refresh status list
+      await zcapClient.write({
+        url: `${statusListCredential}?refresh=true`,
+        capability: statusInstanceRootZcap,
+        json: {}
+      });
+
+      // check status of VC has changed
+      ({status} = await helpers.getCredentialStatus({
+        statusListCredential, statusListIndex
+      }));
+      status.should.equal(true);
+
+      // then unrevoke VC again with only status type and purpose now that
+      // it has been registered with the status system
+      {
+        let error;
+        try {
+          await zcapClient.write({
+            url: `${statusInstanceId}/credentials/status`,
+            capability: statusInstanceRootZcap,
+            json: {
+              credentialId,
+              credentialStatus: {
+                type: 'BitstringStatusListEntry',
+                statusPurpose: 'revocation'
+              },
+              status: false
+            }
+          });
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+      }
+
+      // force refresh status list
+      await zcapClient.write({
+        url: `${statusListCredential}?refresh=true`,
+        capability: statusInstanceRootZcap,
+        json: {}
+      });
+
+      // check status of VC has changed
+      ({status} = await helpers.getCredentialStatus({
+        statusListCredential, statusListIndex
+      }));
+      status.should.equal(false);
+    });
+    it('updates a multi-bit "BitstringStatusList" message status',
+      async () => {
+        // first create a status list w/ 2-bit entries
+        const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+        const statusListOptions = {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'message',
+          statusSize: 2,
+          statusMessage: [
+            {status: '0x0', message: 'pending_review'},
+            {status: '0x1', message: 'accepted'},
+            {status: '0x2', message: 'rejected'},
+            {status: '0x3', message: 'undefined'}
+          ]
+        };
+        const {id: statusListCredential} = await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions
+        });
+
+        // check list expresses `statusSize` and `statusMessage`
+        const slc = await helpers.getStatusListCredential({statusListId});
+        slc.credentialSubject.statusSize.should.equal(2);
+        slc.credentialSubject.statusMessage.should.deep.equal(
+          statusListOptions.statusMessage);
+
+        // pretend a VC with this `credentialId` has been issued
+        const credentialId = `urn:uuid:${uuid()}`;
+        const statusListIndex = '1';
+
+        // get VC status
+        let {status} = await helpers.getCredentialStatus({
+          statusListCredential, statusListIndex
+        });
+        status.should.equal(0);
+
+        // then set VC status to `rejected`
+        const zcapClient = helpers.createZcapClient({capabilityAgent});
+        let error;
+        try {
+          await zcapClient.write({
+            url: `${statusInstanceId}/credentials/status`,
+            capability: statusInstanceRootZcap,
+            json: {
+              credentialId,
+              indexAllocator: statusListOptions.indexAllocator,
+              credentialStatus: {
+                type: 'BitstringStatusListEntry',
+                statusPurpose: 'message',
+                statusListCredential,
+                statusListIndex,
+                statusSize: 2
+              },
+              status: 2
+            }
+          });
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+
+        // force refresh status list
+        await zcapClient.write({
+          url: `${statusListCredential}?refresh=true`,
+          capability: statusInstanceRootZcap,
+          json: {}
+        });
+
+        // check status of VC has changed and neighbors are unaffected
+        ({status} = await helpers.getCredentialStatus({
+          statusListCredential, statusListIndex
+        }));
+        status.should.equal(2);
+        ({status} = await helpers.getCredentialStatus({
+          statusListCredential, statusListIndex: '0'
+        }));
+        status.should.equal(0);
+        ({status} = await helpers.getCredentialStatus({
+          statusListCredential, statusListIndex: '2'
+        }));
+        status.should.equal(0);
+      });
+
+    it('fails to set a boolean status on a multi-bit list', async () => {
+      // first create a status list w/ 2-bit entries
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'message',
+        statusSize: 2,
+        statusMessage: [
+          {status: '0x0', message: 'pending_review'},
+          {status: '0x1', message: 'accepted'},
+          {status: '0x2', message: 'rejected'},
+          {status: '0x3', message: 'undefined'}
+        ]
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      let error;
+      try {
+        await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status`,
+          capability: statusInstanceRootZcap,
+          json: {
+            credentialId: `urn:uuid:${uuid()}`,
+            indexAllocator: statusListOptions.indexAllocator,
+            credentialStatus: {
+              type: 'BitstringStatusListEntry',
+              statusPurpose: 'message',
+              statusListCredential,
+              statusListIndex: '0'
+            },
+            status: true
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.data.message.should.equal(
+        '"status" must be an integer for a status list with a ' +
+        '"statusSize" of 2.');
+    });
+
+    it('gets the current status of a credential', async () => {
+      // first create a status list
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // pretend a VC with this `credentialId` has been issued
+      const credentialId = `urn:uuid:${uuid()}`;
+      const statusListIndex = '5';
+
+      // revoke VC
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      await zcapClient.write({
+        url: `${statusInstanceId}/credentials/status`,
+        capability: statusInstanceRootZcap,
+        json: {
+          credentialId,
+          indexAllocator: statusListOptions.indexAllocator,
+          credentialStatus: {
+            type: 'BitstringStatusListEntry',
+            statusPurpose: 'revocation',
+            statusListCredential,
+            statusListIndex
+          }
+        }
+      });
+
+      // read status back w/o refreshing the status list
+      let error;
+      let result;
+      try {
+        const url = `${statusInstanceId}/credentials/status` +
+          `?credentialId=${encodeURIComponent(credentialId)}` +
+          '&statusPurpose=revocation';
+        ({data: result} = await zcapClient.read({
+          url, capability: statusInstanceRootZcap
+        }));
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.should.deep.equal({
+        credentialId,
+        statusPurpose: 'revocation',
+        statusListCredential,
+        statusListIndex,
+        status: true
+      });
+    });
+
+    it('fails to get the status of an unknown credential', async () => {
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      let error;
+      let result;
+      try {
+        const url = `${statusInstanceId}/credentials/status` +
+          `?credentialId=${encodeURIComponent(`urn:uuid:${uuid()}`)}` +
+          '&statusPurpose=revocation';
+        result = await zcapClient.read({
+          url, capability: statusInstanceRootZcap
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(404);
+      error.data.name.should.equal('NotFoundError');
+    });
+
+    it('updates many statuses at once via batch', async () => {
+      // first create a status list
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // pretend VCs have been issued, one w/o status list info
+      const entries = ['0', '1', '2'].map(statusListIndex => ({
+        credentialId: `urn:uuid:${uuid()}`,
+        indexAllocator: statusListOptions.indexAllocator,
+        credentialStatus: {
+          type: 'BitstringStatusListEntry',
+          statusPurpose: 'revocation',
+          statusListCredential,
+          statusListIndex
+        }
+      }));
+      const unknownCredentialId = `urn:uuid:${uuid()}`;
+      entries.push({
+        credentialId: unknownCredentialId,
+        credentialStatus: {
+          type: 'BitstringStatusListEntry',
+          statusPurpose: 'revocation'
+        }
+      });
+
+      // revoke all VCs
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      let error;
+      let result;
+      try {
+        ({data: result} = await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status/batch`,
+          capability: statusInstanceRootZcap,
+          json: {entries}
+        }));
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.results.should.have.length(4);
+      for(const [i, r] of result.results.slice(0, 3).entries()) {
+        r.credentialId.should.equal(entries[i].credentialId);
+        r.success.should.equal(true);
+      }
+      const [, , , failed] = result.results;
+      failed.credentialId.should.equal(unknownCredentialId);
+      failed.success.should.equal(false);
+      failed.error.name.should.equal('DataError');
+
+      // force refresh status list
+      await zcapClient.write({
+        url: `${statusListCredential}?refresh=true`,
+        capability: statusInstanceRootZcap,
+        json: {}
+      });
+
+      // check status of VCs has changed
+      for(const statusListIndex of ['0', '1', '2']) {
+        const {status} = await helpers.getCredentialStatus({
+          statusListCredential, statusListIndex
+        });
+        status.should.equal(true);
+      }
+      const {status} = await helpers.getCredentialStatus({
+        statusListCredential, statusListIndex: '3'
+      });
+      status.should.equal(false);
+    });
+
+    it('records the history of status changes', async () => {
+      // first create a status list
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // revoke then unrevoke a VC
+      const credentialId = `urn:uuid:${uuid()}`;
+      const statusListIndex = '7';
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      for(const status of [true, false]) {
+        await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status`,
+          capability: statusInstanceRootZcap,
+          json: {
+            credentialId,
+            indexAllocator: statusListOptions.indexAllocator,
+            credentialStatus: {
+              type: 'BitstringStatusListEntry',
+              statusPurpose: 'revocation',
+              statusListCredential,
+              statusListIndex
+            },
+            status
+          }
+        });
+      }
+
+      // get history by credential
+      const url = `${statusInstanceId}/credentials/status/history`;
+      let error;
+      let result;
+      try {
+        ({data: result} = await zcapClient.read({
+          url: `${url}?credentialId=${encodeURIComponent(credentialId)}`,
+          capability: statusInstanceRootZcap
+        }));
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.events.should.have.length(2);
+      should.not.exist(result.next);
+      const [revoked, unrevoked] = result.events;
+      revoked.should.include.keys(['id', 'date']);
+      revoked.credentialId.should.equal(credentialId);
+      revoked.statusPurpose.should.equal('revocation');
+      revoked.statusListId.should.equal(statusListId);
+      revoked.statusListCredential.should.equal(statusListCredential);
+      revoked.statusListIndex.should.equal(statusListIndex);
+      revoked.previousStatus.should.equal(false);
+      revoked.status.should.equal(true);
+      revoked.sequence.should.equal(1);
+      revoked.invoker.should.deep.equal(
+        {type: 'zcap', controller: capabilityAgent.id});
+      unrevoked.previousStatus.should.equal(true);
+      unrevoked.status.should.equal(false);
+      unrevoked.sequence.should.equal(2);
+
+      // get history by status list, one event per page
+      ({data: result} = await zcapClient.read({
+        url: `${url}?statusListId=${encodeURIComponent(statusListId)}` +
+          '&limit=1',
+        capability: statusInstanceRootZcap
+      }));
+      result.events.should.deep.equal([revoked]);
+      result.next.should.equal(revoked.id);
+      ({data: result} = await zcapClient.read({
+        url: `${url}?statusListId=${encodeURIComponent(statusListId)}` +
+          `&limit=1&after=${encodeURIComponent(result.next)}`,
+        capability: statusInstanceRootZcap
+      }));
+      result.events.should.deep.equal([unrevoked]);
+      should.not.exist(result.next);
+      const record = await helpers.findStatusListRecord({statusListId});
+      record.meta.pendingEvents.should.have.length(0);
+    });
+
+    it('records status changes on retry if recording failed', async () => {
+      // first create a status list
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // revoke a VC, simulating a failure to record the change
+      const credentialId = `urn:uuid:${uuid()}`;
+      const json = {
+        credentialId,
+        indexAllocator: statusListOptions.indexAllocator,
+        credentialStatus: {
+          type: 'BitstringStatusListEntry',
+          statusPurpose: 'revocation',
+          statusListCredential,
+          statusListIndex: '7'
+        },
+        status: true
+      };
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      await zcapClient.write({
+        url: `${statusInstanceId}/credentials/status`,
+        capability: statusInstanceRootZcap,
+        json
+      });
+      await helpers.unrecordStatusChanges({statusListId});
+      const url = `${statusInstanceId}/credentials/status/history` +
+        `?credentialId=${encodeURIComponent(credentialId)}`;
+      let {data: result} = await zcapClient.read({
+        url, capability: statusInstanceRootZcap
+      });
+      result.events.should.have.length(0);
+
+      // retrying the same update changes nothing but records the change
+      await zcapClient.write({
+        url: `${statusInstanceId}/credentials/status`,
+        capability: statusInstanceRootZcap,
+        json
+      });
+      ({data: result} = await zcapClient.read({
+        url, capability: statusInstanceRootZcap
+      }));
+      result.events.should.have.length(1);
+      result.events[0].status.should.equal(true);
+      result.events[0].sequence.should.equal(1);
+      const record = await helpers.findStatusListRecord({statusListId});
+      record.meta.sequence.should.equal(1);
+      record.meta.pendingEvents.should.have.length(0);
+    });
+
+    it('allocates status list indexes for credentials', async () => {
+      // use a new status instance w/ a tiny status list
+      const {statusIssueZcap} = await helpers.provisionDependencies();
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {issue: statusIssueZcap}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const statusListId = `${statusConfig.id}/status-lists/${uuid()}`;
+      const length = 8;
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: rootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length,
+          statusPurpose: 'revocation',
+          allocation: 'server'
+        }
+      });
+
+      // allocate every index on the list
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const url = `${statusConfig.id}/credentials/status/allocate`;
+      const allocated = new Map();
+      for(let i = 0; i < length; ++i) {
+        const credentialId = `urn:uuid:${uuid()}`;
+        let error;
+        let result;
+        try {
+          ({data: result} = await zcapClient.write({
+            url, capability: rootZcap,
+            json: {credentialId, statusPurpose: 'revocation'}
+          }));
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        const {credentialStatus} = result;
+        credentialStatus.type.should.equal('BitstringStatusListEntry');
+        credentialStatus.statusPurpose.should.equal('revocation');
+        credentialStatus.statusListCredential.should.equal(
+          statusListCredential);
+        credentialStatus.id.should.equal(
+          `${statusListCredential}#${credentialStatus.statusListIndex}`);
+        allocated.set(credentialId, credentialStatus);
+      }
+      const allocatedIndexes = [...allocated.values()]
+        .map(({statusListIndex}) => parseInt(statusListIndex, 10))
+        .sort((a, b) => a - b);
+      allocatedIndexes.should.deep.equal([0, 1, 2, 3, 4, 5, 6, 7]);
+
+      // allocating again for the same credential returns the same entry
+      const [[credentialId, credentialStatus]] = allocated;
+      const {data: repeated} = await zcapClient.write({
+        url, capability: rootZcap,
+        json: {credentialId, statusPurpose: 'revocation'}
+      });
+      repeated.credentialStatus.should.deep.equal(credentialStatus);
+
+      // allocating for a new credential fails because the list is full
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url, capability: rootZcap,
+          json: {
+            credentialId: `urn:uuid:${uuid()}`, statusPurpose: 'revocation'
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(404);
+      error.data.name.should.equal('NotFoundError');
+
+      // revoke a VC using its allocated entry, w/o an `indexAllocator`
+      error = undefined;
+      try {
+        await zcapClient.write({
+          url: `${statusConfig.id}/credentials/status`,
+          capability: rootZcap,
+          json: {credentialId, credentialStatus}
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      const {data: {status}} = await zcapClient.read({
+        url: `${statusConfig.id}/credentials/status` +
+          `?credentialId=${encodeURIComponent(credentialId)}` +
+          '&statusPurpose=revocation',
+        capability: rootZcap
+      });
+      status.should.equal(true);
+    });
+
+    it('allocates multi-bit status list indexes', async () => {
+      // use a new status instance w/ a tiny 2-bit status list
+      const {statusIssueZcap} = await helpers.provisionDependencies();
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {issue: statusIssueZcap}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const statusListId = `${statusConfig.id}/status-lists/${uuid()}`;
+      const statusMessage = [
+        {status: '0x0', message: 'pending_review'},
+        {status: '0x1', message: 'accepted'},
+        {status: '0x2', message: 'rejected'},
+        {status: '0x3', message: 'undefined'}
+      ];
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: rootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 16,
+          statusPurpose: 'message',
+          statusSize: 2,
+          statusMessage,
+          allocation: 'server'
+        }
+      });
+
+      // allocated entry expresses the list's `statusSize` and `statusMessage`
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      let error;
+      let result;
+      try {
+        ({data: result} = await zcapClient.write({
+          url: `${statusConfig.id}/credentials/status/allocate`,
+          capability: rootZcap,
+          json: {credentialId: `urn:uuid:${uuid()}`, statusPurpose: 'message'}
+        }));
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      const {credentialStatus} = result;
+      credentialStatus.type.should.equal('BitstringStatusListEntry');
+      credentialStatus.statusPurpose.should.equal('message');
+      credentialStatus.statusListCredential.should.equal(statusListCredential);
+      credentialStatus.statusSize.should.equal(2);
+      credentialStatus.statusMessage.should.deep.equal(statusMessage);
+      parseInt(credentialStatus.statusListIndex, 10).should.be.below(8);
+    });
+
+    it('does not allocate indexes on client-allocated lists', async () => {
+      // use a new status instance w/ a status list whose indexes are chosen
+      // by the issuer of each credential
+      const {statusIssueZcap} = await helpers.provisionDependencies();
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {issue: statusIssueZcap}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const statusListId = `${statusConfig.id}/status-lists/revocation/0`;
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: rootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 8,
+          statusPurpose: 'revocation'
+        }
+      });
+
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${statusConfig.id}/credentials/status/allocate`,
+          capability: rootZcap,
+          json: {
+            credentialId: `urn:uuid:${uuid()}`, statusPurpose: 'revocation'
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(404);
+      error.data.name.should.equal('NotFoundError');
+
+      // no status list was rolled over to
+      const {data: {statusLists}} = await zcapClient.read({
+        url: `${statusConfig.id}/status-lists`, capability: rootZcap
+      });
+      statusLists.map(({id}) => id).should.deep.equal([statusListId]);
+    });
+
+    it('fails to map a second credential to an index in use', async () => {
+      // first create a status list
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
         statusListOptions
       });
 
-      // pretend a VC with this `credentialId` has been issued
+      // revoke a VC
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const credentialStatus = {
+        type: 'BitstringStatusListEntry',
+        statusPurpose: 'revocation',
+        statusListCredential,
+        statusListIndex: '4'
+      };
+      await zcapClient.write({
+        url: `${statusInstanceId}/credentials/status`,
+        capability: statusInstanceRootZcap,
+        json: {
+          credentialId: `urn:uuid:${uuid()}`,
+          indexAllocator: statusListOptions.indexAllocator,
+          credentialStatus
+        }
+      });
+
+      // setting the status of another VC w/ the same index fails
       const credentialId = `urn:uuid:${uuid()}`;
-      const statusListIndex = '0';
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status`,
+          capability: statusInstanceRootZcap,
+          json: {
+            credentialId,
+            indexAllocator: statusListOptions.indexAllocator,
+            credentialStatus,
+            status: false
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(409);
+      error.data.name.should.equal('DuplicateError');
 
-      // get VC status
-      const statusInfo = await helpers.getCredentialStatus({
-        statusListCredential, statusListIndex
+      // other VC was not mapped
+      error = undefined;
+      try {
+        await zcapClient.read({
+          url: `${statusInstanceId}/credentials/status` +
+            `?credentialId=${encodeURIComponent(credentialId)}` +
+            '&statusPurpose=revocation',
+          capability: statusInstanceRootZcap
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(404);
+    });
+
+    it('fails to choose an index on a server-allocated list', async () => {
+      // first create a status list
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation',
+        allocation: 'server'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
       });
-      let {status} = statusInfo;
-      status.should.equal(false);
 
-      // then revoke VC
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status`,
+          capability: statusInstanceRootZcap,
+          json: {
+            credentialId: `urn:uuid:${uuid()}`,
+            indexAllocator: statusListOptions.indexAllocator,
+            credentialStatus: {
+              type: 'BitstringStatusListEntry',
+              statusPurpose: 'revocation',
+              statusListCredential,
+              statusListIndex: '0'
+            }
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+    });
+
+    it('rolls over a full namespaced status list', async () => {
+      // use a new status instance w/ a tiny namespaced status list
+      const {statusIssueZcap} = await helpers.provisionDependencies();
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {issue: statusIssueZcap}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const statusListId = `${statusConfig.id}/status-lists/suspension/0`;
+      const length = 8;
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: rootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length,
+          statusPurpose: 'suspension',
+          allocation: 'server'
+        }
+      });
+
+      // allocate more indexes than fit on one list
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const url = `${statusConfig.id}/credentials/status/allocate`;
+      const counts = new Map();
+      for(let i = 0; i < length + 2; ++i) {
+        let error;
+        let result;
+        try {
+          ({data: result} = await zcapClient.write({
+            url, capability: rootZcap,
+            json: {
+              credentialId: `urn:uuid:${uuid()}`, statusPurpose: 'suspension'
+            }
+          }));
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        const {statusListCredential} = result.credentialStatus;
+        counts.set(
+          statusListCredential, (counts.get(statusListCredential) ?? 0) + 1);
+      }
+      const nextStatusListId = `${statusConfig.id}/status-lists/suspension/1`;
+      counts.should.deep.equal(new Map([
+        [statusListId, length],
+        [nextStatusListId, 2]
+      ]));
+
+      // new status list has the same attributes
+      const slc = await helpers.getStatusListCredential({
+        statusListId: nextStatusListId
+      });
+      slc.id.should.equal(nextStatusListId);
+      slc.credentialSubject.type.should.equal('BitstringStatusList');
+      slc.credentialSubject.statusPurpose.should.equal('suspension');
+      const {data: {statusLists}} = await zcapClient.read({
+        url: `${statusConfig.id}/status-lists`, capability: rootZcap
+      });
+      statusLists.map(({id, length, allocated}) => ({id, length, allocated}))
+        .should.deep.equal([
+          {id: statusListId, length, allocated: length},
+          {id: nextStatusListId, length, allocated: 2}
+        ]);
+    });
+
+    it('pads status changes w/ decoy changes', async () => {
+      // use a new status instance w/ decoy changes
+      const {statusIssueZcap} = await helpers.provisionDependencies();
+      const decoyChanges = 4;
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {issue: statusIssueZcap},
+        statusListOptions: {decoyChanges}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const statusListId = `${statusConfig.id}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation',
+        allocation: 'server'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: rootZcap,
+        statusListOptions
+      });
+
+      // revoke VCs one at a time, checking that each change adds decoys and
+      // that previous decoys are never cleared
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const revoked = [];
+      let previousDecoys = [];
+      for(let i = 0; i < 2; ++i) {
+        const credentialId = `urn:uuid:${uuid()}`;
+        const {data: {credentialStatus}} = await zcapClient.write({
+          url: `${statusConfig.id}/credentials/status/allocate`,
+          capability: rootZcap,
+          json: {credentialId, statusPurpose: 'revocation'}
+        });
+        await zcapClient.write({
+          url: `${statusConfig.id}/credentials/status`,
+          capability: rootZcap,
+          json: {credentialId, credentialStatus}
+        });
+        revoked.push(parseInt(credentialStatus.statusListIndex, 10));
+
+        // force refresh status list to see changes
+        await zcapClient.write({
+          url: `${statusListCredential}?refresh=true`,
+          capability: rootZcap,
+          json: {}
+        });
+        const indexes = await helpers.getSetStatusListIndexes({
+          statusListCredential
+        });
+        indexes.should.include.members(revoked);
+        const decoys = indexes.filter(i => !revoked.includes(i));
+        decoys.should.have.length(decoyChanges * (i + 1));
+        decoys.should.include.members(previousDecoys);
+        previousDecoys = decoys;
+      }
+
+      // a reissue w/o status changes makes no decoy changes
+      await zcapClient.write({
+        url: `${statusListCredential}?refresh=true`,
+        capability: rootZcap,
+        json: {}
+      });
+      const indexes = await helpers.getSetStatusListIndexes({
+        statusListCredential
+      });
+      indexes.should.have.members([...revoked, ...previousDecoys]);
+    });
+
+    it('never allocates decoy indexes', async () => {
+      // use a new status instance w/ decoy changes
+      const {statusIssueZcap} = await helpers.provisionDependencies();
+      const decoyChanges = 2;
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {issue: statusIssueZcap},
+        statusListOptions: {decoyChanges}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const statusListId = `${statusConfig.id}/status-lists/${uuid()}`;
+      const length = 8;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length,
+        statusPurpose: 'revocation',
+        allocation: 'server'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: rootZcap,
+        statusListOptions
+      });
+
+      // revoke one VC, which reserves decoy indexes
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const allocate = async () => {
+        const credentialId = `urn:uuid:${uuid()}`;
+        const {data: {credentialStatus}} = await zcapClient.write({
+          url: `${statusConfig.id}/credentials/status/allocate`,
+          capability: rootZcap,
+          json: {credentialId, statusPurpose: 'revocation'}
+        });
+        return {credentialId, credentialStatus};
+      };
+      const {credentialId, credentialStatus} = await allocate();
+      await zcapClient.write({
+        url: `${statusConfig.id}/credentials/status`,
+        capability: rootZcap,
+        json: {credentialId, credentialStatus}
+      });
+      await zcapClient.write({
+        url: `${statusListCredential}?refresh=true`,
+        capability: rootZcap,
+        json: {}
+      });
+      const decoys = (await helpers.getSetStatusListIndexes({
+        statusListCredential
+      })).filter(i => i !== parseInt(credentialStatus.statusListIndex, 10));
+      decoys.should.have.length(decoyChanges);
+
+      // the remaining indexes are allocated on the list, never a decoy
+      const allocated = [];
+      for(let i = 0; i < length - 1 - decoyChanges; ++i) {
+        const {credentialStatus} = await allocate();
+        credentialStatus.statusListCredential.should.equal(
+          statusListCredential);
+        allocated.push(parseInt(credentialStatus.statusListIndex, 10));
+      }
+      for(const decoy of decoys) {
+        allocated.should.not.include(decoy);
+      }
+      new Set(allocated).size.should.equal(allocated.length);
+
+      // the list is now full, decoys included
+      let error;
+      let result;
+      try {
+        result = await allocate();
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(404);
+      error.data.name.should.equal('NotFoundError');
+    });
+
+    it('does not make decoy changes on client-allocated lists', async () => {
+      // use a new status instance w/ decoy changes
+      const {statusIssueZcap} = await helpers.provisionDependencies();
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {issue: statusIssueZcap},
+        statusListOptions: {decoyChanges: 4}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const statusListId = `${statusConfig.id}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 8,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: rootZcap,
+        statusListOptions
+      });
+
+      // revoke a VC; the issuer may have issued other VCs w/ any of the
+      // other indexes whose status has not been set yet
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      await zcapClient.write({
+        url: `${statusConfig.id}/credentials/status`,
+        capability: rootZcap,
+        json: {
+          credentialId: `urn:uuid:${uuid()}`,
+          indexAllocator: statusListOptions.indexAllocator,
+          credentialStatus: {
+            type: 'BitstringStatusListEntry',
+            statusPurpose: 'revocation',
+            statusListCredential,
+            statusListIndex: '3'
+          }
+        }
+      });
+
+      // no other index is ever set, however often the list is reissued
+      for(let i = 0; i < 3; ++i) {
+        await zcapClient.write({
+          url: `${statusListCredential}?refresh=true`,
+          capability: rootZcap,
+          json: {}
+        });
+        const indexes = await helpers.getSetStatusListIndexes({
+          statusListCredential
+        });
+        indexes.should.deep.equal([3]);
+      }
+    });
+
+    it('applies a scheduled time-boxed suspension', async () => {
+      // first create a status list
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'suspension'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // schedule suspension of a VC for a short period
+      const credentialId = `urn:uuid:${uuid()}`;
+      const now = Date.now();
+      const effectiveAt = new Date(now + 2000).toISOString();
+      const until = new Date(now + 4000).toISOString();
       const zcapClient = helpers.createZcapClient({capabilityAgent});
       let error;
       try {
@@ -359,11 +2904,13 @@ describe('status APIs', () => {
             credentialId,
             indexAllocator: statusListOptions.indexAllocator,
             credentialStatus: {
-              type: 'StatusList2021Entry',
-              statusPurpose: 'revocation',
+              type: 'BitstringStatusListEntry',
+              statusPurpose: 'suspension',
               statusListCredential,
-              statusListIndex
-            }
+              statusListIndex: '3'
+            },
+            effectiveAt,
+            until
           }
         });
       } catch(e) {
@@ -371,21 +2918,27 @@ describe('status APIs', () => {
       }
       assertNoError(error);
 
-      // force refresh status list
-      await zcapClient.write({
-        url: `${statusListCredential}?refresh=true`,
-        capability: statusInstanceRootZcap,
-        json: {}
-      });
-
-      // check status of VC has changed
-      ({status} = await helpers.getCredentialStatus({
-        statusListCredential, statusListIndex
-      }));
-      status.should.equal(true);
+      // poll status, expecting it to be suspended and then restored
+      const url = `${statusInstanceId}/credentials/status` +
+        `?credentialId=${encodeURIComponent(credentialId)}` +
+        '&statusPurpose=suspension';
+      const statuses = [];
+      while(Date.now() < now + 10000) {
+        const {data: {status}} = await zcapClient.read({
+          url, capability: statusInstanceRootZcap
+        });
+        if(statuses.at(-1) !== status) {
+          statuses.push(status);
+        }
+        if(statuses.length === 3) {
+          break;
+        }
+        await new Promise(r => setTimeout(r, 250));
+      }
+      statuses.should.deep.equal([false, true, false]);
     });
 
-    it('updates a "BitstringStatusList" revocation status', async () => {
+    it('skips a scheduled time-boxed change applied too late', async () => {
       // first create a status list
       const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
       const statusListOptions = {
@@ -393,7 +2946,7 @@ describe('status APIs', () => {
         type: 'BitstringStatusList',
         indexAllocator: `urn:uuid:${uuid()}`,
         length: 131072,
-        statusPurpose: 'revocation'
+        statusPurpose: 'suspension'
       };
       const {id: statusListCredential} = await helpers.createStatusList({
         url: statusListId,
@@ -402,21 +2955,163 @@ describe('status APIs', () => {
         statusListOptions
       });
 
-      // pretend a VC with this `credentialId` has been issued
+      // schedule suspension of a VC for a short period
       const credentialId = `urn:uuid:${uuid()}`;
-      const statusListIndex = '0';
+      const now = Date.now();
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      await zcapClient.write({
+        url: `${statusInstanceId}/credentials/status`,
+        capability: statusInstanceRootZcap,
+        json: {
+          credentialId,
+          indexAllocator: statusListOptions.indexAllocator,
+          credentialStatus: {
+            type: 'BitstringStatusListEntry',
+            statusPurpose: 'suspension',
+            statusListCredential,
+            statusListIndex: '3'
+          },
+          effectiveAt: new Date(now + 60000).toISOString(),
+          until: new Date(now + 120000).toISOString()
+        }
+      });
 
-      // get VC status
-      const statusInfo = await helpers.getCredentialStatus({
-        statusListCredential, statusListIndex
+      // have the scheduler apply the change only once `until` has passed
+      await helpers.delayPendingChanges({credentialId, by: 180000});
+      let pendingChanges;
+      while(Date.now() < now + 10000) {
+        pendingChanges = await helpers.findPendingChanges({credentialId});
+        if(pendingChanges.length === 0) {
+          break;
+        }
+        await new Promise(r => setTimeout(r, 250));
+      }
+      pendingChanges.should.have.length(0);
+
+      // the change was skipped, not applied
+      const {data: {status}} = await zcapClient.read({
+        url: `${statusInstanceId}/credentials/status` +
+          `?credentialId=${encodeURIComponent(credentialId)}` +
+          '&statusPurpose=suspension',
+        capability: statusInstanceRootZcap
       });
-      let {status} = statusInfo;
       status.should.equal(false);
+      const record = await helpers.findStatusListRecord({statusListId});
+      record.meta.sequence.should.equal(0);
+    });
 
-      // then revoke VC
+    it('reverts a time-boxed change whose revert failed to schedule',
+      async () => {
+        // first create a status list
+        const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+        const statusListOptions = {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'suspension'
+        };
+        const {id: statusListCredential} = await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions
+        });
+        const zcapClient = helpers.createZcapClient({capabilityAgent});
+        const suspend = ({credentialId, statusListIndex, until}) =>
+          zcapClient.write({
+            url: `${statusInstanceId}/credentials/status`,
+            capability: statusInstanceRootZcap,
+            json: {
+              credentialId,
+              indexAllocator: statusListOptions.indexAllocator,
+              credentialStatus: {
+                type: 'BitstringStatusListEntry',
+                statusPurpose: 'suspension',
+                statusListCredential,
+                statusListIndex
+              },
+              ...(until === undefined ? {} : {until})
+            }
+          });
+
+        // suspend a VC for a short period while its revert cannot be
+        // scheduled; the committed change does not fail
+        const credentialId = `urn:uuid:${uuid()}`;
+        const now = Date.now();
+        const until = new Date(now + 5000).toISOString();
+        const restore = helpers.failPendingChanges();
+        let error;
+        try {
+          await suspend({credentialId, statusListIndex: '3', until});
+        } catch(e) {
+          error = e;
+        } finally {
+          restore();
+        }
+        assertNoError(error);
+        (await helpers.findPendingChanges({credentialId})).should.have.length(
+          0);
+        let record = await helpers.findStatusListRecord({statusListId});
+        record.meta.pendingEvents.should.have.length(1);
+        record.meta.pendingEvents[0].revert.effectiveAt.should.equal(until);
+
+        // the next update of the status list schedules the revert, once
+        const otherCredentialId = `urn:uuid:${uuid()}`;
+        await suspend({credentialId: otherCredentialId, statusListIndex: '4'});
+        (await helpers.findPendingChanges({credentialId})).should.have.length(
+          1);
+        record = await helpers.findStatusListRecord({statusListId});
+        record.meta.pendingEvents.should.have.length(0);
+
+        // poll status, expecting it to be restored
+        const url = `${statusInstanceId}/credentials/status` +
+          `?credentialId=${encodeURIComponent(credentialId)}` +
+          '&statusPurpose=suspension';
+        let status;
+        while(Date.now() < now + 12000) {
+          ({data: {status}} = await zcapClient.read({
+            url, capability: statusInstanceRootZcap
+          }));
+          if(status === false) {
+            break;
+          }
+          await new Promise(r => setTimeout(r, 250));
+        }
+        status.should.equal(false);
+      });
+
+    it('does not revert a time-boxed change changed again', async () => {
+      // first create a status list w/ 2-bit entries
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'message',
+        statusSize: 2,
+        statusMessage: [
+          {status: '0x0', message: 'pending_review'},
+          {status: '0x1', message: 'accepted'},
+          {status: '0x2', message: 'rejected'},
+          {status: '0x3', message: 'undefined'}
+        ]
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // set a status for a short period, then change it again before then
+      const credentialId = `urn:uuid:${uuid()}`;
+      const now = Date.now();
       const zcapClient = helpers.createZcapClient({capabilityAgent});
-      let error;
-      try {
+      for(const [status, until] of [
+        [1, new Date(now + 2000).toISOString()], [2, undefined]
+      ]) {
         await zcapClient.write({
           url: `${statusInstanceId}/credentials/status`,
           capability: statusInstanceRootZcap,
@@ -425,32 +3120,38 @@ describe('status APIs', () => {
             indexAllocator: statusListOptions.indexAllocator,
             credentialStatus: {
               type: 'BitstringStatusListEntry',
-              statusPurpose: 'revocation',
+              statusPurpose: 'message',
               statusListCredential,
-              statusListIndex
-            }
+              statusListIndex: '5'
+            },
+            status,
+            ...(until === undefined ? {} : {until})
           }
         });
-      } catch(e) {
-        error = e;
       }
-      assertNoError(error);
 
-      // force refresh status list
-      await zcapClient.write({
-        url: `${statusListCredential}?refresh=true`,
-        capability: statusInstanceRootZcap,
-        json: {}
-      });
+      // wait for the scheduled revert to be processed
+      let pendingChanges;
+      while(Date.now() < now + 10000) {
+        pendingChanges = await helpers.findPendingChanges({credentialId});
+        if(pendingChanges.length === 0) {
+          break;
+        }
+        await new Promise(r => setTimeout(r, 250));
+      }
+      pendingChanges.should.have.length(0);
 
-      // check status of VC has changed
-      ({status} = await helpers.getCredentialStatus({
-        statusListCredential, statusListIndex
-      }));
-      status.should.equal(true);
+      // later change is kept
+      const {data: {status}} = await zcapClient.read({
+        url: `${statusInstanceId}/credentials/status` +
+          `?credentialId=${encodeURIComponent(credentialId)}` +
+          '&statusPurpose=message',
+        capability: statusInstanceRootZcap
+      });
+      status.should.equal(2);
     });
 
-    it('fails to set status when no "indexAllocator" given', async () => {
+    it('fails to schedule a status change w/ invalid "until"', async () => {
       // first create a status list
       const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
       const statusListOptions = {
@@ -458,7 +3159,7 @@ describe('status APIs', () => {
         type: 'BitstringStatusList',
         indexAllocator: `urn:uuid:${uuid()}`,
         length: 131072,
-        statusPurpose: 'revocation'
+        statusPurpose: 'suspension'
       };
       const {id: statusListCredential} = await helpers.createStatusList({
         url: statusListId,
@@ -467,52 +3168,46 @@ describe('status APIs', () => {
         statusListOptions
       });
 
-      // pretend a VC with this `credentialId` has been issued
-      const credentialId = `urn:uuid:${uuid()}`;
-      const statusListIndex = '0';
-
-      // get VC status, should work w/ initialized `false` value
-      const statusInfo = await helpers.getCredentialStatus({
-        statusListCredential, statusListIndex
-      });
-      const {status} = statusInfo;
-      status.should.equal(false);
-
-      // try to revoke VC w/o `indexAllocator`
+      // `until` precedes `effectiveAt`
+      const now = Date.now();
       const zcapClient = helpers.createZcapClient({capabilityAgent});
       let error;
+      let result;
       try {
-        await zcapClient.write({
+        result = await zcapClient.write({
           url: `${statusInstanceId}/credentials/status`,
           capability: statusInstanceRootZcap,
           json: {
-            credentialId,
+            credentialId: `urn:uuid:${uuid()}`,
+            indexAllocator: statusListOptions.indexAllocator,
             credentialStatus: {
               type: 'BitstringStatusListEntry',
-              statusPurpose: 'revocation',
+              statusPurpose: 'suspension',
               statusListCredential,
-              statusListIndex
-            }
+              statusListIndex: '0'
+            },
+            effectiveAt: new Date(now + 60000).toISOString(),
+            until: new Date(now + 30000).toISOString()
           }
         });
       } catch(e) {
         error = e;
       }
+      should.not.exist(result);
       should.exist(error);
-      error.data.message.should.equal(
-        '"indexAllocator" is required when setting the status of a ' +
-        'credential the first time.');
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
     });
 
-    it('updates a terse "BitstringStatusList" revocation status', async () => {
-      // first create a terse status list
-      const statusListId = `${statusInstanceId}/status-lists/revocation/0`;
+    it('fails to schedule a status change w/o a date-time', async () => {
+      // first create a status list
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
       const statusListOptions = {
         credentialId: statusListId,
         type: 'BitstringStatusList',
         indexAllocator: `urn:uuid:${uuid()}`,
         length: 131072,
-        statusPurpose: 'revocation'
+        statusPurpose: 'suspension'
       };
       const {id: statusListCredential} = await helpers.createStatusList({
         url: statusListId,
@@ -521,167 +3216,339 @@ describe('status APIs', () => {
         statusListOptions
       });
 
-      // pretend a VC with this `credentialId` has been issued
-      const credentialId = `urn:uuid:${uuid()}`;
-      const statusListIndex = '0';
-
-      // get VC status
-      const statusInfo = await helpers.getCredentialStatus({
-        statusListCredential, statusListIndex
-      });
-      let {status} = statusInfo;
-      status.should.equal(false);
-
-      // then revoke VC
       const zcapClient = helpers.createZcapClient({capabilityAgent});
-      {
-        let error;
-        try {
-          await zcapClient.write({
-            url: `${statusInstanceId}/credentials/status`,
-            capability: statusInstanceRootZcap,
-            json: {
-              credentialId,
-              indexAllocator: statusListOptions.indexAllocator,
-              credentialStatus: {
-                type: 'BitstringStatusListEntry',
-                statusPurpose: 'revocation',
-                statusListCredential,
-                statusListIndex
-              }
-            }
-          });
-        } catch(e) {
-          error = e;
-        }
-        assertNoError(error);
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${statusInstanceId}/credentials/status`,
+          capability: statusInstanceRootZcap,
+          json: {
+            credentialId: `urn:uuid:${uuid()}`,
+            indexAllocator: statusListOptions.indexAllocator,
+            credentialStatus: {
+              type: 'BitstringStatusListEntry',
+              statusPurpose: 'suspension',
+              statusListCredential,
+              statusListIndex: '0'
+            },
+            effectiveAt: 'tomorrow'
+          }
+        });
+      } catch(e) {
+        error = e;
       }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.type.should.equal('ValidationError');
+    });
+  });
 
-      // force refresh status list
+  describe('storage usage', () => {
+    it('counts status lists and mappings', async () => {
+      // create two status lists
+      const statusListCredentials = [];
+      for(let i = 0; i < 2; ++i) {
+        const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+        const {id} = await helpers.createStatusList({
+          url: statusListId,
+          capabilityAgent,
+          capability: statusInstanceRootZcap,
+          statusListOptions: {
+            credentialId: statusListId,
+            type: 'BitstringStatusList',
+            indexAllocator: `urn:uuid:${uuid()}`,
+            length: 131072,
+            statusPurpose: 'revocation',
+            allocation: 'server'
+          }
+        });
+        statusListCredentials.push(id);
+      }
+
+      // allocate a status entry for a VC
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
       await zcapClient.write({
-        url: `${statusListCredential}?refresh=true`,
+        url: `${statusInstanceId}/credentials/status/allocate`,
         capability: statusInstanceRootZcap,
-        json: {}
+        json: {credentialId: `urn:uuid:${uuid()}`, statusPurpose: 'revocation'}
       });
 
-      // check status of VC has changed
-      ({status} = await helpers.getCredentialStatus({
-        statusListCredential, statusListIndex
-      }));
-      status.should.equal(true);
+      const config = {id: statusInstanceId};
+      const {count, bytes} = await slcs.getUsage({config});
+      count.should.equal(2);
+      bytes.should.be.greaterThan(0);
+      const mappingCount = await mappings.count({configId: statusInstanceId});
+      mappingCount.should.equal(1);
+    });
+  });
 
-      // then unrevoke VC to ensure it can be switched back
-      {
-        let error;
-        try {
-          await zcapClient.write({
-            url: `${statusInstanceId}/credentials/status`,
-            capability: statusInstanceRootZcap,
-            json: {
-              credentialId,
-              indexAllocator: statusListOptions.indexAllocator,
-              credentialStatus: {
-                type: 'BitstringStatusListEntry',
-                statusPurpose: 'revocation',
-                statusListCredential,
-                statusListIndex
-              },
-              status: false
-            }
-          });
-        } catch(e) {
-          error = e;
-        }
-        assertNoError(error);
-      }
+  describe('webhooks', () => {
+    async function _revokeWithWebhook({webhookId}) {
+      // create status instance w/ webhook
+      const {statusIssueZcap} = await helpers.provisionDependencies();
+      const secret = `${uuid()}${uuid()}`;
+      const url = mockData.baseUrl +
+        mockData.webhookRoute.replace(':webhookId', webhookId);
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {issue: statusIssueZcap},
+        webhooks: [{url}]
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      await zcapClient.write({
+        url: `${statusConfig.id}/webhooks/secrets`,
+        capability: rootZcap,
+        json: {url, secret}
+      });
+
+      // create a status list
+      const statusListId = `${statusConfig.id}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: rootZcap,
+        statusListOptions
+      });
 
-      // force refresh status list
+      // revoke a VC
+      const credentialId = `urn:uuid:${uuid()}`;
       await zcapClient.write({
-        url: `${statusListCredential}?refresh=true`,
-        capability: statusInstanceRootZcap,
-        json: {}
+        url: `${statusConfig.id}/credentials/status`,
+        capability: rootZcap,
+        json: {
+          credentialId,
+          indexAllocator: statusListOptions.indexAllocator,
+          credentialStatus: {
+            type: 'BitstringStatusListEntry',
+            statusPurpose: 'revocation',
+            statusListCredential,
+            statusListIndex: '0'
+          }
+        }
       });
 
-      // check status of VC has changed
-      ({status} = await helpers.getCredentialStatus({
-        statusListCredential, statusListIndex
+      return {credentialId, secret, statusListCredential, statusConfig};
+    }
+
+    it('notifies a webhook of a status change', async () => {
+      const webhookId = uuid();
+      const {
+        credentialId, secret, statusListCredential
+      } = await _revokeWithWebhook({webhookId});
+
+      const [delivery] = await helpers.waitForWebhookDeliveries({
+        webhookId, count: 1
+      });
+      const {body: event, headers} = delivery;
+      event.type.should.equal('CredentialStatusChanged');
+      event.credentialId.should.equal(credentialId);
+      event.statusPurpose.should.equal('revocation');
+      event.status.should.equal(true);
+      event.statusListCredential.should.equal(statusListCredential);
+      event.sequence.should.equal(1);
+
+      // verify signature
+      const signature = headers['vc-status-signature'];
+      should.exist(signature);
+      const timestamp = parseInt(signature.match(/^t=(\d+),/)[1], 10);
+      signature.should.equal(sign({
+        secret, body: JSON.stringify(event), timestamp
       }));
-      status.should.equal(false);
+    });
 
-      // then revoke VC again with only status type and purpose now that
-      // it has been registered with the status system
-      {
-        let error;
+    it('retries a failed webhook delivery', async () => {
+      const webhookId = `flaky-${uuid()}`;
+      const {credentialId} = await _revokeWithWebhook({webhookId});
+
+      const deliveries = await helpers.waitForWebhookDeliveries({
+        webhookId, count: 2
+      });
+      deliveries[0].body.should.deep.equal(deliveries[1].body);
+      deliveries[1].body.credentialId.should.equal(credentialId);
+    });
+
+    it('does not follow webhook redirects', async () => {
+      const webhookId = `redirect-${uuid()}`;
+      await _revokeWithWebhook({webhookId});
+
+      // redirected delivery is retried at the webhook itself
+      const deliveries = await helpers.waitForWebhookDeliveries({
+        webhookId, count: 2
+      });
+      deliveries[0].body.should.deep.equal(deliveries[1].body);
+      should.not.exist(
+        mockData.webhookDeliveries.get(`redirected-${webhookId}`));
+    });
+
+    it('does not return webhook secrets in the config', async () => {
+      const {statusConfig} = await _revokeWithWebhook({webhookId: uuid()});
+      const config = await helpers.getConfig({
+        id: statusConfig.id, capabilityAgent
+      });
+      config.webhooks.should.have.length(1);
+      config.webhooks[0].should.have.keys(['url']);
+    });
+
+    it('fails to set the secret of an unknown webhook', async () => {
+      const {statusConfig} = await _revokeWithWebhook({webhookId: uuid()});
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      let error;
+      try {
+        await zcapClient.write({
+          url: `${statusConfig.id}/webhooks/secrets`,
+          capability:
+            `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`,
+          json: {url: 'https://example.com/unknown', secret: uuid() + uuid()}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(404);
+      error.data.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('publisher', () => {
+    const _readPublished = async ({statusListId}) => {
+      const {directory} = bedrock.config['vc-status'].publisher.target;
+      const file = path.join(
+        directory, ...new URL(statusListId).pathname.split('/'));
+      return JSON.parse(await readFile(file, 'utf8'));
+    };
+    const _waitForPublished = async ({statusListId}) => {
+      // status lists are published in the background once stored
+      const slc = await helpers.getStatusListCredential({statusListId});
+      for(let i = 0; i < 40; ++i) {
         try {
-          await zcapClient.write({
-            url: `${statusInstanceId}/credentials/status`,
-            capability: statusInstanceRootZcap,
-            json: {
-              credentialId,
-              credentialStatus: {
-                type: 'BitstringStatusListEntry',
-                statusPurpose: 'revocation'
-              },
-              status: true
-            }
-          });
+          const published = await _readPublished({statusListId});
+          if(isDeepStrictEqual(published, slc)) {
+            return published;
+          }
         } catch(e) {
-          error = e;
+          if(e.code !== 'ENOENT') {
+            throw e;
+          }
         }
-        assertNoError(error);
+        await new Promise(r => setTimeout(r, 250));
       }
+      throw new Error(`Timed out waiting for "${statusListId}" to publish.`);
+    };
 
-      // force refresh status list
+    it('publishes status lists when they are updated', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/revocation/0`;
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'revocation',
+          allocation: 'server'
+        }
+      });
+
+      // published status list matches served status list
+      await _waitForPublished({statusListId});
+
+      // allocate an index and revoke a credential
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const credentialId = `urn:uuid:${uuid()}`;
+      const {data: {credentialStatus}} = await zcapClient.write({
+        url: `${statusInstanceId}/credentials/status/allocate`,
+        capability: statusInstanceRootZcap,
+        json: {credentialId, statusPurpose: 'revocation'}
+      });
       await zcapClient.write({
-        url: `${statusListCredential}?refresh=true`,
+        url: `${statusInstanceId}/credentials/status`,
         capability: statusInstanceRootZcap,
-        json: {}
+        json: {credentialId, credentialStatus, status: true}
       });
 
-      // check status of VC has changed
-      ({status} = await helpers.getCredentialStatus({
-        statusListCredential, statusListIndex
-      }));
-      status.should.equal(true);
+      // published status list was updated
+      await _waitForPublished({statusListId});
+      const indexes = await helpers.getSetStatusListIndexes({
+        statusListCredential: statusListId
+      });
+      indexes.should.include(parseInt(credentialStatus.statusListIndex, 10));
+    });
 
-      // then unrevoke VC again with only status type and purpose now that
-      // it has been registered with the status system
-      {
-        let error;
-        try {
-          await zcapClient.write({
-            url: `${statusInstanceId}/credentials/status`,
-            capability: statusInstanceRootZcap,
-            json: {
-              credentialId,
-              credentialStatus: {
-                type: 'BitstringStatusListEntry',
-                statusPurpose: 'revocation'
-              },
-              status: false
-            }
-          });
-        } catch(e) {
-          error = e;
-        }
-        assertNoError(error);
-      }
+    it('does not replace a newer published status list', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      const {id: statusListCredential} = await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+      const initial = await slcs.get({statusListId, useCache: false});
 
-      // force refresh status list
+      // revoke a VC
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
       await zcapClient.write({
-        url: `${statusListCredential}?refresh=true`,
+        url: `${statusInstanceId}/credentials/status`,
         capability: statusInstanceRootZcap,
-        json: {}
+        json: {
+          credentialId: `urn:uuid:${uuid()}`,
+          indexAllocator: statusListOptions.indexAllocator,
+          credentialStatus: {
+            type: 'BitstringStatusListEntry',
+            statusPurpose: 'revocation',
+            statusListCredential,
+            statusListIndex: '0'
+          }
+        }
       });
+      const published = await _waitForPublished({statusListId});
 
-      // check status of VC has changed
-      ({status} = await helpers.getCredentialStatus({
-        statusListCredential, statusListIndex
-      }));
-      status.should.equal(false);
+      // publishing the status list credential from before the update, e.g.,
+      // after a delay, leaves the newer one in place
+      await publisher.publish({
+        statusListId, credential: initial.credential,
+        envelope: initial.meta.envelope, sequence: initial.meta.sequence
+      });
+      (await _readPublished({statusListId})).should.eql(published);
     });
-  });
 
+    it('publishes all status lists', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions: {
+          credentialId: statusListId,
+          type: 'BitstringStatusList',
+          indexAllocator: `urn:uuid:${uuid()}`,
+          length: 131072,
+          statusPurpose: 'revocation'
+        }
+      });
+      const count = await slcs.publishAll();
+      count.should.be.at.least(1);
+      const published = await _readPublished({statusListId});
+      published.id.should.equal(statusListId);
+    });
+  });
   describe('cache headers', () => {
     it('returns correct cache headers based on credential expiration',
       async () => {
@@ -738,5 +3605,267 @@ describe('status APIs', () => {
         const etag = response.headers.get('etag');
         should.exist(etag);
       });
+
+    it('serves status lists w/ the accepted content encoding', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      const etags = new Set();
+      for(const encoding of ['br', 'gzip', 'identity']) {
+        const {data, headers} = await httpClient.get(statusListId, {
+          agent, headers: {'accept-encoding': encoding}
+        });
+        data.id.should.equal(statusListId);
+        headers.get('vary').should.match(/Accept-Encoding/);
+        if(encoding === 'identity') {
+          should.not.exist(headers.get('content-encoding'));
+        } else {
+          headers.get('content-encoding').should.equal(encoding);
+        }
+        etags.add(headers.get('etag'));
+      }
+      // each encoding has its own e-tag
+      etags.size.should.equal(3);
+    });
+
+    it('returns 304 when the status list is not modified', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      const {headers} = await httpClient.get(statusListId, {agent});
+      const etag = headers.get('etag');
+      const lastModified = headers.get('last-modified');
+      should.exist(etag);
+      should.exist(lastModified);
+
+      const conditionalHeaders = [
+        {'if-none-match': etag},
+        {'if-modified-since': lastModified}
+      ];
+      for(const conditional of conditionalHeaders) {
+        let error;
+        try {
+          await httpClient.get(statusListId, {agent, headers: conditional});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.status.should.equal(304);
+      }
+
+      // a different e-tag gets the full status list
+      const {data} = await httpClient.get(statusListId, {
+        agent, headers: {'if-none-match': '"stale"'}
+      });
+      data.id.should.equal(statusListId);
+    });
+
+    it('refreshes a status list in the background', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: statusInstanceRootZcap,
+        statusListOptions
+      });
+
+      // background refresh is scheduled for later
+      let record = await helpers.findStatusListRecord({statusListId});
+      record.meta.sequence.should.equal(0);
+      record.meta.refresh.after.should.be.above(Date.now());
+
+      // make status list due for refresh and wait for refresher
+      await helpers.scheduleStatusListRefresh({
+        statusListId, after: Date.now() - 1000
+      });
+      for(let i = 0; i < 20 && record.meta.sequence === 0; ++i) {
+        await new Promise(r => setTimeout(r, 500));
+        record = await helpers.findStatusListRecord({statusListId});
+      }
+      record.meta.sequence.should.equal(1);
+      record.meta.refresh.after.should.be.above(Date.now());
+    });
+
+    it('uses the configured status list validity period', async () => {
+      // create status instance w/ 1 hour validity period
+      const {statusIssueZcap} = await helpers.provisionDependencies();
+      const validityPeriod = 60 * 60 * 1000;
+      const statusConfig = await helpers.createStatusConfig({
+        capabilityAgent, zcaps: {issue: statusIssueZcap}, oauth2: true,
+        statusListOptions: {validityPeriod}
+      });
+      const rootZcap = `urn:zcap:root:${encodeURIComponent(statusConfig.id)}`;
+
+      const statusListId = `${statusConfig.id}/status-lists/revocation/0`;
+      const statusListOptions = {
+        credentialId: statusListId,
+        type: 'BitstringStatusList',
+        indexAllocator: `urn:uuid:${uuid()}`,
+        length: 131072,
+        statusPurpose: 'revocation'
+      };
+      await helpers.createStatusList({
+        url: statusListId,
+        capabilityAgent,
+        capability: rootZcap,
+        statusListOptions
+      });
+
+      const slc = await helpers.getStatusListCredential({statusListId});
+      const validFrom = new Date(slc.validFrom).getTime();
+      const validUntil = new Date(slc.validUntil).getTime();
+      (validUntil - validFrom).should.equal(validityPeriod);
+    });
+
+    it('caches responses for the latest sequence only', async () => {
+      const statusListId = `${statusInstanceId}/status-lists/${uuid()}`;
+      const mediaType = 'application/json';
+      let computed = 0;
+      const fn = async () => ({identity: {body: `${++computed}`}});
+      const get = sequence => slcs.getCachedResponse({
+        statusListId, sequence, mediaType, fn
+      });
+
+      // computed once per sequence, even if requested concurrently
+      const responses = await Promise.all([get(0), get(0)]);
+      responses[0].should.equal(responses[1]);
+      (await get(0)).should.equal(responses[0]);
+      computed.should.equal(1);
+
+      // a new sequence replaces the responses for the previous one
+      const next = await get(1);
+      next.identity.body.should.equal('2');
+      (await get(1)).should.equal(next);
+      await get(0);
+      computed.should.equal(3);
+      (await get(1)).should.equal(next);
+      computed.should.equal(3);
+    });
+  });
+});
+
+describe('envelopes', () => {
+  const credential = {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    id: 'https://example.com/status-lists/1',
+    type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+    issuer: 'did:example:issuer',
+    credentialSubject: {
+      id: 'https://example.com/status-lists/1#list',
+      type: 'BitstringStatusList',
+      statusPurpose: 'revocation',
+      encodedList:
+        'uH4sIAAAAAAAAA-3BMQEAAADCoPVPbQwfoAAAAAAAAAAAAAAAAAAAAIC3AYbSVKsAQAAA'
+    }
+  };
+  const _encode = value => Buffer.from(
+    typeof value === 'string' ? value : JSON.stringify(value))
+    .toString('base64url');
+
+  it('parses a "application/jwt" envelope', async () => {
+    const data = `${_encode({alg: 'EdDSA'})}.${_encode({vc: credential})}.sig`;
+    const {envelope, verifiableCredential} = await parseEnvelope({
+      envelopedVerifiableCredential: {id: `data:application/jwt,${data}`}
+    });
+    envelope.should.eql({data, mediaType: 'application/jwt'});
+    verifiableCredential.should.eql(credential);
+  });
+
+  it('parses a base64-encoded "application/vc+jwt" envelope', async () => {
+    const jwt = `${_encode({alg: 'EdDSA'})}.${_encode(credential)}.sig`;
+    const data = Buffer.from(jwt).toString('base64');
+    const id = `data:application/vc+jwt;base64,${data}`;
+    const {envelope, verifiableCredential} = await parseEnvelope({
+      envelopedVerifiableCredential: {id}
+    });
+    envelope.should.eql({
+      data, mediaType: 'application/vc+jwt', encoding: 'base64'
+    });
+    verifiableCredential.should.eql(credential);
+    createEnvelopedCredential({envelope}).id.should.equal(id);
+  });
+
+  it('parses a "application/vc+sd-jwt" envelope', async () => {
+    const disclosures = [
+      _encode(['salt1', 'issuer', credential.issuer]),
+      _encode(['salt2', 'VerifiableCredential'])
+    ];
+    const [issuerDigest, typeDigest] = disclosures.map(
+      d => createHash('sha256').update(d).digest('base64url'));
+    const payload = {
+      ...credential,
+      type: [{'...': typeDigest}, 'BitstringStatusListCredential'],
+      _sd: [issuerDigest],
+      _sd_alg: 'sha-256'
+    };
+    delete payload.issuer;
+    const jwt = `${_encode({alg: 'EdDSA'})}.${_encode(payload)}.sig`;
+    const data = `${jwt}~${disclosures.join('~')}~`;
+    const {envelope, verifiableCredential} = await parseEnvelope({
+      envelopedVerifiableCredential: {id: `data:application/vc+sd-jwt,${data}`}
+    });
+    envelope.should.eql({data, mediaType: 'application/vc+sd-jwt'});
+    verifiableCredential.should.eql(credential);
+  });
+
+  it('parses a "application/vc+cose" envelope', async () => {
+    // COSE_Sign1: [protected, unprotected, payload, signature]
+    const data = Buffer.from(encodeCbor([
+      new Uint8Array(), new Map(), Buffer.from(JSON.stringify(credential)),
+      new Uint8Array(64)
+    ])).toString('base64');
+    const id = `data:application/vc+cose;base64,${data}`;
+    const {envelope, verifiableCredential} = await parseEnvelope({
+      envelopedVerifiableCredential: {id}
+    });
+    envelope.should.eql({
+      data, mediaType: 'application/vc+cose', encoding: 'base64'
+    });
+    verifiableCredential.should.eql(credential);
+    createEnvelopedCredential({envelope}).id.should.equal(id);
+  });
+
+  it('fails to parse an unencoded "application/vc+cose" envelope', async () => {
+    let error;
+    try {
+      await parseEnvelope({
+        envelopedVerifiableCredential: {id: 'data:application/vc+cose,abc'}
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('NotSupportedError');
   });
 });
@@ -62,25 +62,36 @@ export async function createConfig({
 }
 
 export async function createStatusConfig({
-  capabilityAgent, ipAllowList, meterId, zcaps, oauth2 = false
+  capabilityAgent, ipAllowList, meterId, zcaps, statusListOptions, webhooks,
+  issueOptions, oauth2 = false
 } = {}) {
   const url = `${mockData.baseUrl}/statuses`;
+  // status-specific options
+  const configOptions = {};
+  if(statusListOptions) {
+    configOptions.statusListOptions = statusListOptions;
+  }
+  if(webhooks) {
+    configOptions.webhooks = webhooks;
+  }
+  if(issueOptions) {
+    configOptions.issueOptions = issueOptions;
+  }
   return createConfig({
     serviceType: 'vc-status',
-    url, capabilityAgent, ipAllowList, meterId, zcaps, oauth2
+    url, capabilityAgent, ipAllowList, meterId, zcaps, configOptions, oauth2
   });
 }
 
 export async function createIssuerConfig({
   capabilityAgent, ipAllowList, meterId, zcaps,
+  issueOptions = {suiteName: 'eddsa-rdfc-2022'},
   statusListOptions, oauth2 = false
 } = {}) {
   const url = `${mockData.baseUrl}/issuers`;
   // issuer-specific options
   const configOptions = {
-    issueOptions: {
-      suiteName: 'eddsa-rdfc-2022'
-    },
+    issueOptions,
     statusListOptions
   };
   return createConfig({
@@ -300,18 +311,45 @@ export async function getCredentialStatus({
     }));
   }
 
-  const {encodedList} = slc.credentialSubject;
+  const {encodedList, statusSize = 1} = slc.credentialSubject;
   let list;
   if(slc.type.includes('BitstringStatusListCredential')) {
     list = await decodeList({encodedList});
   } else {
-    // type must be `StatusListCredential`
+    // type must be `StatusListCredential` or `RevocationList2020Credential`,
+    // which use the same encoding
     list = await decodeList2021({encodedList});
   }
-  const status = list.getStatus(parseInt(statusListIndex, 10));
+  const index = parseInt(statusListIndex, 10);
+  if(statusSize === 1) {
+    const status = list.getStatus(index);
+    return {status, statusListCredential, statusListIndex};
+  }
+  // read multi-bit status value, most significant bit first
+  let status = 0;
+  for(let i = 0; i < statusSize; ++i) {
+    status = status * 2 + (list.getStatus(index * statusSize + i) ? 1 : 0);
+  }
   return {status, statusListCredential, statusListIndex};
 }
 
+export async function getSetStatusListIndexes({statusListCredential}) {
+  // single-bit `BitstringStatusList` only
+  const slc = await getStatusListCredential({
+    statusListId: statusListCredential
+  });
+  const list = await decodeList({
+    encodedList: slc.credentialSubject.encodedList
+  });
+  const indexes = [];
+  for(let i = 0; i < list.length; ++i) {
+    if(list.getStatus(i)) {
+      indexes.push(i);
+    }
+  }
+  return indexes;
+}
+
 export async function getStatusListCredential({statusListId}) {
   let {data: slc} = await httpClient.get(statusListId, {agent: httpsAgent});
   // parse enveloped VC as needed
@@ -323,7 +361,7 @@ export async function getStatusListCredential({statusListId}) {
   return slc;
 }
 
-export async function provisionDependencies() {
+export async function provisionDependencies({envelope} = {}) {
   const secret = '53ad64ce-8e1d-11ec-bb12-10bf48838a41';
   const handle = 'test';
   const capabilityAgent = await CapabilityAgent.fromSecret({secret, handle});
@@ -337,7 +375,7 @@ export async function provisionDependencies() {
       statusIssueZcap
     }
   ] = await Promise.all([
-    provisionIssuer({capabilityAgent, keystoreAgent})
+    provisionIssuer({capabilityAgent, keystoreAgent, envelope})
   ]);
 
   return {
@@ -347,7 +385,9 @@ export async function provisionDependencies() {
   };
 }
 
-export async function provisionIssuer({capabilityAgent, keystoreAgent}) {
+export async function provisionIssuer({
+  capabilityAgent, keystoreAgent, envelope
+}) {
   // generate key for signing VCs (make it a did:key DID for simplicity)
   const assertionMethodKey = await keystoreAgent.generateKey({
     type: 'asymmetric',
@@ -395,9 +435,21 @@ export async function provisionIssuer({capabilityAgent, keystoreAgent}) {
     delegator: capabilityAgent
   });
 
+  // use envelope-based security if requested, e.g., `{format: 'VC-JWT'}`
+  let issueOptions;
+  if(envelope) {
+    issueOptions = {
+      issuer: assertionMethodKey.id.split('#')[0],
+      envelope: {
+        ...envelope,
+        zcapReferenceIds: {assertionMethod: 'assertionMethod'}
+      }
+    };
+  }
+
   // create issuer instance w/ oauth2-based authz
   const issuerConfig = await createIssuerConfig(
-    {capabilityAgent, zcaps, oauth2: true});
+    {capabilityAgent, zcaps, issueOptions, oauth2: true});
   const {id: issuerId} = issuerConfig;
   const issuerRootZcap = `urn:zcap:root:${encodeURIComponent(issuerId)}`;
 
@@ -436,6 +488,34 @@ export async function provisionIssuer({capabilityAgent, keystoreAgent}) {
   return {issuerConfig, statusIssueZcap};
 }
 
+export async function provisionStatusSigner({capabilityAgent}) {
+  // generate key for signing status list credentials in-process (make it a
+  // did:key DID for simplicity)
+  const keystoreAgent = await createKeystoreAgent({capabilityAgent});
+  const assertionMethodKey = await keystoreAgent.generateKey({
+    type: 'asymmetric',
+    publicAliasTemplate: 'did:key:{publicKeyMultibase}#{publicKeyMultibase}'
+  });
+
+  // delegate assertion method key zcap to status service agent
+  const statusServiceAgentUrl =
+    `${mockData.baseUrl}/service-agents/${encodeURIComponent('vc-status')}`;
+  const {data: statusServiceAgent} = await httpClient.get(
+    statusServiceAgentUrl, {agent});
+  const {keystoreId} = keystoreAgent;
+  const assertionMethodZcap = await delegate({
+    capability: `urn:zcap:root:${encodeURIComponent(keystoreId)}`,
+    controller: statusServiceAgent.id,
+    invocationTarget: assertionMethodKey.kmsId,
+    delegator: capabilityAgent
+  });
+
+  return {
+    issuer: assertionMethodKey.id.split('#')[0],
+    assertionMethodZcap
+  };
+}
+
 export async function revokeDelegatedCapability({
   serviceObjectId, capabilityToRevoke, invocationSigner
 }) {
@@ -474,3 +554,89 @@ export async function findConfig({configId}) {
     'config.id': configId,
   });
 }
+
+export async function findStatusListRecord({statusListId}) {
+  return database.collections['vc-status-slc'].findOne({statusListId});
+}
+
+export async function scheduleStatusListRefresh({statusListId, after}) {
+  await database.collections['vc-status-slc'].updateOne(
+    {statusListId}, {$set: {'meta.refresh.after': after}});
+}
+
+export async function expireStatusList({statusListId}) {
+  // make the stored SLC expired w/o the background refresher replacing it
+  await database.collections['vc-status-slc'].updateOne({statusListId}, {
+    $set: {
+      'credential.validUntil': new Date(Date.now() - 1000).toISOString(),
+      'meta.refresh.after': Date.now() + 60 * 60 * 1000
+    }
+  });
+}
+
+export async function delayPendingChanges({credentialId, by}) {
+  // simulate a scheduler that applies pending changes late by making them due
+  // now with each date-time moved back in time by `by` milliseconds
+  const collection = database.collections['vc-status-pendingChange'];
+  const records = await collection.find(
+    {'pendingChange.credentialId': credentialId}).toArray();
+  const _move = date => new Date(Date.parse(date) - by).toISOString();
+  for(const {_id, pendingChange: {effectiveAt, until}} of records) {
+    await collection.updateOne({_id}, {
+      $set: {
+        'pendingChange.effectiveAt': _move(effectiveAt),
+        ...(until === undefined ? {} : {'pendingChange.until': _move(until)}),
+        'meta.after': Date.now()
+      }
+    });
+  }
+}
+
+export async function findPendingChanges({credentialId}) {
+  return database.collections['vc-status-pendingChange'].find(
+    {'pendingChange.credentialId': credentialId}).toArray();
+}
+
+export function failPendingChanges() {
+  // simulate a failure to schedule status changes, e.g., the reverts of
+  // time-boxed changes; returns a function that ends the failure
+  const {collections} = database;
+  const collection = collections['vc-status-pendingChange'];
+  const failing = Object.create(collection);
+  failing.insertOne = async () => {
+    throw new Error('Could not add pending change.');
+  };
+  collections['vc-status-pendingChange'] = failing;
+  return () => {
+    collections['vc-status-pendingChange'] = collection;
+  };
+}
+
+export async function unrecordStatusChanges({statusListId}) {
+  // simulate a failure to record the committed status changes of a status
+  // list in the audit history
+  const collection = database.collections['vc-status-audit'];
+  const records = await collection.find(
+    {'event.statusListId': statusListId}).toArray();
+  await collection.deleteMany({'event.statusListId': statusListId});
+  await database.collections['vc-status-slc'].updateOne({statusListId}, {
+    $set: {'meta.pendingEvents': records.map(({event}) => event)}
+  });
+}
+
+export async function removeStatusListLength({statusListId}) {
+  // simulate a status list created before `length` was stored
+  await database.collections['vc-status-slc'].updateOne(
+    {statusListId}, {$unset: {length: '', capacity: '', allocated: ''}});
+}
+
+export async function waitForWebhookDeliveries({webhookId, count}) {
+  for(let i = 0; i < 40; ++i) {
+    const deliveries = mockData.webhookDeliveries.get(webhookId) ?? [];
+    if(deliveries.length >= count) {
+      return deliveries;
+    }
+    await new Promise(r => setTimeout(r, 250));
+  }
+  throw new Error(`Timed out waiting for "${webhookId}" deliveries.`);
+}
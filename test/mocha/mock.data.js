@@ -23,6 +23,10 @@ mockData.productIdMap = new Map([
 
 mockData.baseUrl = config.server.baseUri;
 
+// mock webhook route and the deliveries it has received, by webhook ID
+mockData.webhookRoute = '/test-webhooks/:webhookId';
+mockData.webhookDeliveries = new Map();
+
 // OpenID discovery server meta data example:
 // https://accounts.google.com/.well-known/openid-configuration
 
@@ -1,9 +1,11 @@
 /*!
  * Copyright (c) 2020-2024 Digital Bazaar, Inc. All rights reserved.
  */
-import {config} from '@bedrock/core';
+import {config, events} from '@bedrock/core';
 import {fileURLToPath} from 'node:url';
+import os from 'node:os';
 import path from 'node:path';
+import {rm} from 'node:fs/promises';
 import '@bedrock/app-identity';
 import '@bedrock/https-agent';
 import '@bedrock/mongodb';
@@ -42,5 +44,27 @@ config['app-identity'].seeds.services['vc-status'] = {
 // use local KMS for testing
 config['service-agent'].kms.baseUrl = 'https://localhost:18443/kms';
 
+// look for status lists to refresh in the background more often
+config['vc-status'].backgroundRefresh.interval = 1000;
+
+// apply scheduled status changes quickly
+config['vc-status'].scheduledChanges.interval = 500;
+
+// deliver and retry webhook events quickly
+config['vc-status'].webhooks.interval = 500;
+config['vc-status'].webhooks.backoff.initialDelay = 500;
+// test webhooks are served locally
+config['vc-status'].webhooks.allowPrivateNetworks = true;
+
+// publish status lists to a temporary directory
+config['vc-status'].publisher.enabled = true;
+config['vc-status'].publisher.target.directory = path.join(
+  os.tmpdir(), `bedrock-vc-status-test-${process.pid}`);
+events.on('bedrock.exit', async () => {
+  await rm(config['vc-status'].publisher.target.directory, {
+    recursive: true, force: true
+  });
+});
+
 // disable veres one fetching
 config['did-io'].methodOverrides.v1.disableFetch = true;
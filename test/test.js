@@ -48,5 +48,28 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
   });
 });
 
+// mock webhook receiver; webhook IDs starting with `flaky` fail on their
+// first delivery attempt and those starting with `redirect` redirect it to
+// another (local, i.e., private) webhook, `redirected-<webhookId>`
+bedrock.events.on('bedrock-express.configure.routes', app => {
+  app.post(mockData.webhookRoute, (req, res) => {
+    const {webhookId} = req.params;
+    let deliveries = mockData.webhookDeliveries.get(webhookId);
+    if(!deliveries) {
+      deliveries = [];
+      mockData.webhookDeliveries.set(webhookId, deliveries);
+    }
+    deliveries.push({headers: req.headers, body: req.body});
+    if(webhookId.startsWith('flaky') && deliveries.length === 1) {
+      return res.status(500).end();
+    }
+    if(webhookId.startsWith('redirect') && deliveries.length === 1) {
+      return res.redirect(307, mockData.baseUrl + mockData.webhookRoute
+        .replace(':webhookId', `redirected-${webhookId}`));
+    }
+    res.status(204).end();
+  });
+});
+
 import '@bedrock/test';
 bedrock.start();